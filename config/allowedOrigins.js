@@ -0,0 +1,15 @@
+// =========================
+// ALLOWED ORIGINS
+// Frontends that may call the API (CORS) and that Stripe Checkout may
+// redirect back to
+// =========================
+const allowedOrigins = [
+  "http://localhost:5173",
+  "http://localhost:3000",
+  "https://adaskitchen-app.vercel.app",
+  "https://adaskitchen-backend.vercel.app",
+  "https://adaskitchen.uk",
+  "https://www.adaskitchen.uk"
+];
+
+module.exports = { allowedOrigins };
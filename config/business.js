@@ -0,0 +1,22 @@
+// =========================
+// BUSINESS DETAILS
+// Printed on receipts and VAT invoices. Set in the environment so they
+// can differ between staging and production.
+// =========================
+const business = {
+  name: process.env.BUSINESS_NAME || "Ada's Kitchen",
+  legalName: process.env.BUSINESS_LEGAL_NAME || process.env.BUSINESS_NAME || "Ada's Kitchen",
+  address: (process.env.BUSINESS_ADDRESS || "")
+    .split("|")
+    .map(line => line.trim())
+    .filter(Boolean),
+  email: process.env.BUSINESS_EMAIL || "orders@adaskitchen.uk",
+  phone: process.env.BUSINESS_PHONE || null,
+  vatNumber: process.env.BUSINESS_VAT_NUMBER || null,
+  companyNumber: process.env.BUSINESS_COMPANY_NUMBER || null,
+  // Used for lines whose menu item has no vatRate, and for delivery
+  defaultVatRate: Number(process.env.BUSINESS_DEFAULT_VAT_RATE ?? 20),
+  invoicePrefix: process.env.BUSINESS_INVOICE_PREFIX || "INV-"
+};
+
+module.exports = { business };
@@ -0,0 +1,56 @@
+const { getRole, isStaff } = require("./auth");
+const { recordStaffAction } = require("../services/staff");
+
+/**
+ * Record every change a member of staff makes (any request other than a
+ * read), with who made it and how it ended. Customers' requests aren't
+ * recorded. Must run after requireAuth.
+ *
+ * The entry is written before the response is sent: the function can be
+ * frozen once it has responded, taking a pending write with it. Responses
+ * that don't go through res.send (streams) are recorded when they finish.
+ */
+function auditStaffActions(req, res, next) {
+  if (["GET", "HEAD", "OPTIONS"].includes(req.method) || !isStaff(req.user)) {
+    return next();
+  }
+
+  const path = req.originalUrl.split("?")[0];
+  let recording = null;
+
+  const record = () => {
+    if (!recording) {
+      recording = recordStaffAction({
+        actor: req.user,
+        role: getRole(req.user),
+        action: `${req.method} ${path}`,
+        path,
+        body: req.body || null,
+        status: res.statusCode
+      }).catch((error) => {
+        console.error(`❌ Could not record staff action ${req.method} ${path}:`, error);
+      });
+    }
+    return recording;
+  };
+
+  const send = res.send;
+  res.send = function (...args) {
+    // res.json sends through here too; only the first call waits
+    if (recording) {
+      return send.apply(this, args);
+    }
+    record()
+      .then(() => send.apply(this, args))
+      .catch((error) => {
+        console.error(`❌ Could not send response to ${req.method} ${path}:`, error);
+      });
+    return this;
+  };
+
+  res.on("finish", record);
+
+  next();
+}
+
+module.exports = { auditStaffActions };
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const { admin } = require("../config/firebase");
+
+/**
+ * The ID token from `Authorization: Bearer <token>`. EventSource can't set
+ * headers, so event-stream requests may send `?access_token=` instead.
+ */
+function readIdToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, idToken] = header.split(" ");
+
+  if (scheme === "Bearer" && idToken) {
+    return idToken;
+  }
+
+  const wantsEventStream = (req.headers.accept || "").includes("text/event-stream");
+  if (wantsEventStream && typeof req.query.access_token === "string") {
+    return req.query.access_token;
+  }
+
+  return null;
+}
+
+/**
+ * Verify the caller's Firebase ID token and expose their identity as
+ * req.user
+ */
+async function requireAuth(req, res, next) {
+  const idToken = readIdToken(req);
+
+  if (!idToken) {
+    return res.status(401).json({ error: "Missing authorization token" });
+  }
+
+  try {
+    const decodedToken = await admin.auth().verifyIdToken(idToken);
+
+    req.user = {
+      uid: decodedToken.uid,
+      email: decodedToken.email || null,
+      claims: decodedToken
+    };
+
+    next();
+  } catch (err) {
+    console.error("❌ ID token verification failed:", err.message);
+    return res.status(401).json({ error: "Invalid or expired token" });
+  }
+}
+
+// Roles, set as the `role` custom claim on the Firebase user
+const ROLES = ["customer", "kitchen", "admin"];
+
+/**
+ * The caller's role. Users without a role claim are customers; the older
+ * `admin: true` claim still counts as admin.
+ */
+function getRole(user) {
+  const claims = user?.claims || {};
+
+  if (ROLES.includes(claims.role)) {
+    return claims.role;
+  }
+
+  return claims.admin === true ? "admin" : "customer";
+}
+
+/**
+ * Whether the authenticated user has the admin role
+ */
+function isAdmin(user) {
+  return getRole(user) === "admin";
+}
+
+/**
+ * Whether the authenticated user is staff (kitchen or admin)
+ */
+function isStaff(user) {
+  return ["kitchen", "admin"].includes(getRole(user));
+}
+
+/**
+ * Only let through callers with one of the given roles.
+ * Must run after requireAuth.
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(getRole(req.user))) {
+      const allowed = roles.join(" or ");
+      return res.status(403).json({
+        error: `${allowed.charAt(0).toUpperCase()}${allowed.slice(1)} access required`
+      });
+    }
+
+    next();
+  };
+}
+
+// Admin only
+const requireAdmin = requireRole("admin");
+
+// Kitchen staff and admins
+const requireStaff = requireRole("kitchen", "admin");
+
+/**
+ * Protect scheduled-job routes. Vercel Cron sends
+ * `Authorization: Bearer <CRON_SECRET>`.
+ */
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.headers.authorization || "");
+
+  if (!secret || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({ error: "Invalid cron secret" });
+  }
+
+  next();
+}
+
+module.exports = {
+  ROLES,
+  requireAuth,
+  requireRole,
+  requireAdmin,
+  requireStaff,
+  getRole,
+  isAdmin,
+  isStaff,
+  requireCronSecret
+};
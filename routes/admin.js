@@ -0,0 +1,566 @@
+const express = require("express");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+const { auditStaffActions } = require("../middleware/audit");
+const { createOrderRefund, listOrderRefunds } = require("../services/refunds");
+const { listOpenDisputes } = require("../services/disputes");
+const {
+  runStripeEvent,
+  getStoredEvent,
+  listStripeEvents,
+  replayFailedEvents
+} = require("../services/stripeEvents");
+const { processStripeEvent } = require("../services/stripeEventHandlers");
+const { streamLiveOrders } = require("../services/orderEvents");
+const { openEventStream } = require("../utils/sse");
+const {
+  createPromotion,
+  updatePromotion,
+  listPromotions
+} = require("../services/promotions");
+const {
+  createMealPlan,
+  updateMealPlan,
+  listMealPlans
+} = require("../services/subscriptions");
+const { setUserRole, listStaff, listStaffActions } = require("../services/staff");
+const {
+  getSalesReport,
+  getTopItemsReport,
+  salesReportToCsv,
+  topItemsReportToCsv
+} = require("../services/reports");
+const { listReconciliationRuns } = require("../services/reconciliation");
+const {
+  listDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone
+} = require("../services/deliveryZones");
+const { getSlotSettings, updateSlotSettings } = require("../services/slots");
+const { listAuthorizedOrders } = require("../services/preorders");
+
+const router = express.Router();
+
+// Every admin route needs a signed-in user with the admin role, and every
+// change is recorded in the staff audit log
+router.use(requireAuth, requireAdmin, auditStaffActions);
+
+/**
+ * GET /api/admin/orders/events
+ * Server-Sent Events stream of every live order (confirmed through out
+ * for delivery); see streamLiveOrders for the events
+ */
+router.get("/orders/events", (req, res) => {
+  streamLiveOrders(openEventStream(req, res));
+});
+
+/**
+ * POST /api/admin/orders/:orderId/refunds
+ * Refund all or part of a paid order
+ *
+ * body:
+ * {
+ *   amount?: number (in pence, defaults to everything not yet refunded),
+ *   destination?: "original" | "wallet",
+ *   reason?: string
+ * }
+ */
+router.post("/orders/:orderId/refunds", async (req, res) => {
+  console.log("=== CREATE REFUND REQUEST ===");
+  console.log("Body:", JSON.stringify(req.body, null, 2));
+
+  try {
+    const { orderId } = req.params;
+    const { amount, destination = "original", reason = null } = req.body || {};
+
+    const refund = await createOrderRefund(orderId, {
+      amount,
+      destination,
+      reason,
+      requestedBy: req.user.uid
+    });
+
+    res.status(201).json(refund);
+  } catch (err) {
+    console.error("❌ Error creating refund:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to create refund" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/orders/:orderId/refunds
+ * Refund history for an order
+ */
+router.get("/orders/:orderId/refunds", async (req, res) => {
+  try {
+    const refunds = await listOrderRefunds(req.params.orderId);
+    res.json(refunds);
+  } catch (err) {
+    console.error("Error fetching refunds:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch refunds" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/disputes
+ * Open disputes, soonest evidence deadline first
+ */
+router.get("/disputes", async (req, res) => {
+  try {
+    const disputes = await listOpenDisputes();
+    res.json(disputes);
+  } catch (err) {
+    console.error("Error fetching disputes:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch disputes" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/stripe-events?status=failed&limit=50
+ * Logged Stripe webhook events, newest first
+ */
+router.get("/stripe-events", async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const events = await listStripeEvents({ status: req.query.status, limit });
+    res.json(events);
+  } catch (err) {
+    console.error("Error fetching Stripe events:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch Stripe events" 
+    });
+  }
+});
+
+/**
+ * POST /api/admin/stripe-events/replay-failed
+ * Re-run every failed event through the webhook handlers
+ *
+ * body:
+ * {
+ *   limit?: number
+ * }
+ */
+router.post("/stripe-events/replay-failed", async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.body?.limit) || 25, 100);
+    const results = await replayFailedEvents(processStripeEvent, { limit });
+    res.json({ replayed: results.length, results });
+  } catch (err) {
+    console.error("❌ Error replaying Stripe events:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to replay Stripe events" 
+    });
+  }
+});
+
+/**
+ * POST /api/admin/stripe-events/:eventId/replay
+ * Re-run one stored event through the webhook handlers.
+ * Already processed events are skipped unless force is set.
+ *
+ * body:
+ * {
+ *   force?: boolean
+ * }
+ */
+router.post("/stripe-events/:eventId/replay", async (req, res) => {
+  try {
+    const event = await getStoredEvent(req.params.eventId);
+    const result = await runStripeEvent(event, processStripeEvent, {
+      force: req.body?.force === true
+    });
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Error replaying Stripe event:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to replay Stripe event" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/promotions
+ * All promo codes with their redemption counts
+ */
+router.get("/promotions", async (req, res) => {
+  try {
+    const promotions = await listPromotions();
+    res.json(promotions);
+  } catch (err) {
+    console.error("Error fetching promotions:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch promotions" 
+    });
+  }
+});
+
+/**
+ * POST /api/admin/promotions
+ * Create a promo code
+ *
+ * body:
+ * {
+ *   code: string,
+ *   type: "percentage" | "fixed_amount" | "free_delivery",
+ *   value?: number (percent, or pence for fixed_amount),
+ *   minSpend?: number (in pence),
+ *   startsAt?: ISO date,
+ *   expiresAt?: ISO date,
+ *   maxRedemptions?: number,
+ *   maxRedemptionsPerUser?: number,
+ *   firstOrderOnly?: boolean,
+ *   description?: string
+ * }
+ */
+router.post("/promotions", async (req, res) => {
+  try {
+    const promotion = await createPromotion(req.body || {}, { actor: req.user.uid });
+    console.log("✅ Promotion created:", promotion.id);
+    res.status(201).json(promotion);
+  } catch (err) {
+    console.error("❌ Error creating promotion:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to create promotion" 
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/promotions/:code
+ * Update a promo code's rules, or deactivate it with { active: false }
+ */
+router.put("/promotions/:code", async (req, res) => {
+  try {
+    const promotion = await updatePromotion(req.params.code, req.body || {}, {
+      actor: req.user.uid
+    });
+    res.json(promotion);
+  } catch (err) {
+    console.error("❌ Error updating promotion:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to update promotion" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/meal-plans
+ * All meal plans, including inactive ones
+ */
+router.get("/meal-plans", async (req, res) => {
+  try {
+    const plans = await listMealPlans();
+    res.json(plans);
+  } catch (err) {
+    console.error("Error fetching meal plans:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch meal plans" 
+    });
+  }
+});
+
+/**
+ * POST /api/admin/meal-plans
+ * Create a weekly meal plan
+ *
+ * body:
+ * {
+ *   name: string,
+ *   stripePriceId: string (a weekly recurring Price),
+ *   items: [{ menuItemId, quantity, modifiers? }],
+ *   description?: string,
+ *   imageUrl?: string
+ * }
+ */
+router.post("/meal-plans", async (req, res) => {
+  try {
+    const plan = await createMealPlan(req.body || {}, { actor: req.user.uid });
+    console.log("✅ Meal plan created:", plan.id);
+    res.status(201).json(plan);
+  } catch (err) {
+    console.error("❌ Error creating meal plan:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to create meal plan" 
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/meal-plans/:id
+ * Update a meal plan, or stop new subscriptions with { active: false }.
+ * A new stripePriceId only applies to new subscribers.
+ */
+router.put("/meal-plans/:id", async (req, res) => {
+  try {
+    const plan = await updateMealPlan(req.params.id, req.body || {}, {
+      actor: req.user.uid
+    });
+    res.json(plan);
+  } catch (err) {
+    console.error("❌ Error updating meal plan:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to update meal plan" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/staff
+ * Users with the kitchen or admin role
+ */
+router.get("/staff", async (req, res) => {
+  try {
+    const staff = await listStaff();
+    res.json(staff);
+  } catch (err) {
+    console.error("Error fetching staff:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch staff" 
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:uid/role
+ * Set a user's role
+ *
+ * body:
+ * {
+ *   role: "customer" | "kitchen" | "admin"
+ * }
+ */
+router.put("/users/:uid/role", async (req, res) => {
+  try {
+    const result = await setUserRole(req.params.uid, req.body?.role, {
+      actor: req.user.uid
+    });
+
+    console.log(`✅ User ${result.uid} is now ${result.role}`);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Error setting user role:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to set user role" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/staff-actions?actor=uid&limit=100
+ * Staff audit log, newest first
+ */
+router.get("/staff-actions", async (req, res) => {
+  try {
+    const actions = await listStaffActions({
+      actor: req.query.actor || null,
+      limit: Math.min(Number(req.query.limit) || 100, 500)
+    });
+    res.json(actions);
+  } catch (err) {
+    console.error("Error fetching staff actions:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch staff actions" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reports/sales?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day&format=json
+ * Takings per day, week or month: card revenue, wallet redemptions,
+ * discounts, refunds, net takings and average order value, plus the best
+ * sellers. Dates are UK dates, both inclusive (default: the last 30 days).
+ * format=csv downloads the per-period figures in pounds.
+ */
+router.get("/reports/sales", async (req, res) => {
+  try {
+    const report = await getSalesReport({
+      from: req.query.from,
+      to: req.query.to,
+      groupBy: req.query.groupBy || "day"
+    });
+
+    if (req.query.format === "csv") {
+      res.attachment(`sales_${report.groupBy}_${report.from}_${report.to}.csv`);
+      return res.type("text/csv").send(salesReportToCsv(report));
+    }
+
+    res.json(report);
+  } catch (err) {
+    console.error("Error building sales report:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to build sales report" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reports/top-items?from=YYYY-MM-DD&to=YYYY-MM-DD&limit=20&format=json
+ * Best-selling items by quantity. format=csv downloads it.
+ */
+router.get("/reports/top-items", async (req, res) => {
+  try {
+    const report = await getTopItemsReport({
+      from: req.query.from,
+      to: req.query.to,
+      limit: Math.min(Number(req.query.limit) || 20, 200)
+    });
+
+    if (req.query.format === "csv") {
+      res.attachment(`top_items_${report.from}_${report.to}.csv`);
+      return res.type("text/csv").send(topItemsReportToCsv(report));
+    }
+
+    res.json(report);
+  } catch (err) {
+    console.error("Error building top items report:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to build top items report" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation-runs?limit=20
+ * Stripe ↔ Firestore reconciliation reports, newest first
+ */
+router.get("/reconciliation-runs", async (req, res) => {
+  try {
+    const runs = await listReconciliationRuns({
+      limit: Math.min(Number(req.query.limit) || 20, 100)
+    });
+    res.json(runs);
+  } catch (err) {
+    console.error("Error fetching reconciliation runs:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch reconciliation runs" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/delivery-zones
+ * All delivery zones, including inactive ones
+ */
+router.get("/delivery-zones", async (req, res) => {
+  try {
+    const zones = await listDeliveryZones();
+    res.json(zones);
+  } catch (err) {
+    console.error("Error fetching delivery zones:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch delivery zones" 
+    });
+  }
+});
+
+/**
+ * POST /api/admin/delivery-zones
+ * Create a delivery zone (amounts in pence)
+ *
+ * body:
+ * {
+ *   name: string,
+ *   districts: string[] (postcode districts, e.g. ["E8", "N16"]),
+ *   fee: number,
+ *   minimumOrder?: number,
+ *   freeDeliveryThreshold?: number | null,
+ *   active?: boolean
+ * }
+ */
+router.post("/delivery-zones", async (req, res) => {
+  try {
+    const zone = await createDeliveryZone(req.body || {}, { actor: req.user.uid });
+    console.log("✅ Delivery zone created:", zone.id);
+    res.status(201).json(zone);
+  } catch (err) {
+    console.error("❌ Error creating delivery zone:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to create delivery zone" 
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/delivery-zones/:id
+ * Update a delivery zone, or switch it off with { active: false }
+ */
+router.put("/delivery-zones/:id", async (req, res) => {
+  try {
+    const zone = await updateDeliveryZone(req.params.id, req.body || {}, {
+      actor: req.user.uid
+    });
+    res.json(zone);
+  } catch (err) {
+    console.error("❌ Error updating delivery zone:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to update delivery zone" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/slot-settings
+ * Slot length, booking window and per-method hours and capacity
+ */
+router.get("/slot-settings", async (req, res) => {
+  try {
+    const settings = await getSlotSettings();
+    res.json(settings);
+  } catch (err) {
+    console.error("Error fetching slot settings:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch slot settings" 
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/slot-settings
+ * Set up collection/delivery slots; a method set to null goes back to
+ * "as soon as possible"
+ *
+ * body:
+ * {
+ *   slotMinutes?: number,
+ *   leadMinutes?: number,
+ *   daysAhead?: number,
+ *   collection?: { capacity: number, hours: { Mon: [{ from: "HH:MM", to: "HH:MM" }], ... } } | null,
+ *   delivery?: { capacity: number, hours: { ... } } | null
+ * }
+ */
+router.put("/slot-settings", async (req, res) => {
+  try {
+    const settings = await updateSlotSettings(req.body || {}, { actor: req.user.uid });
+    res.json(settings);
+  } catch (err) {
+    console.error("❌ Error updating slot settings:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to update slot settings" 
+    });
+  }
+});
+
+/**
+ * GET /api/admin/preorders
+ * Pre-orders whose card is authorized but not yet captured, soonest
+ * lapsing first. authorizationFlag is set on ones that couldn't be renewed.
+ */
+router.get("/preorders", async (req, res) => {
+  try {
+    const orders = await listAuthorizedOrders();
+    res.json(orders);
+  } catch (err) {
+    console.error("Error fetching pre-orders:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch pre-orders" 
+    });
+  }
+});
+
+module.exports = router;
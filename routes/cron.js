@@ -0,0 +1,72 @@
+const express = require("express");
+const { requireCronSecret } = require("../middleware/auth");
+const { runDailyJobs } = require("../services/scheduledJobs");
+const { processNotificationQueue } = require("../services/notifications");
+const { reconcileRecent } = require("../services/reconciliation");
+
+const router = express.Router();
+
+// Only Vercel Cron (or whoever holds CRON_SECRET) may trigger jobs
+router.use(requireCronSecret);
+
+/**
+ * GET /api/cron/daily
+ * Card expiry reminders, failed-payment retry links and pre-order
+ * authorization renewals (see vercel.json)
+ */
+router.get("/daily", async (req, res) => {
+  console.log("=== DAILY JOBS ===");
+
+  try {
+    const results = await runDailyJobs();
+    res.json({ success: true, results });
+  } catch (err) {
+    console.error("❌ Error running daily jobs:", err);
+    res.status(500).json({ 
+      error: err.message || "Failed to run daily jobs" 
+    });
+  }
+});
+
+/**
+ * GET /api/cron/notifications
+ * Send queued emails and retry failed ones (see vercel.json)
+ */
+router.get("/notifications", async (req, res) => {
+  try {
+    const results = await processNotificationQueue();
+    if (results.sent || results.retrying || results.failed) {
+      console.log("📧 Notification queue processed:", results);
+    }
+    res.json({ success: true, results });
+  } catch (err) {
+    console.error("❌ Error processing notification queue:", err);
+    res.status(500).json({ 
+      error: err.message || "Failed to process notification queue" 
+    });
+  }
+});
+
+/**
+ * GET /api/cron/reconcile
+ * Compare the last two days of Stripe payments with Firestore and fix the
+ * safe mismatches (see vercel.json)
+ */
+router.get("/reconcile", async (req, res) => {
+  console.log("=== STRIPE RECONCILIATION ===");
+
+  try {
+    const report = await reconcileRecent();
+    if (report.mismatches.length > 0) {
+      console.warn("⚠️ Reconciliation found mismatches:", report.summary);
+    }
+    res.json({ success: true, id: report.id, summary: report.summary, totals: report.totals });
+  } catch (err) {
+    console.error("❌ Error running reconciliation:", err);
+    res.status(500).json({ 
+      error: err.message || "Failed to run reconciliation" 
+    });
+  }
+});
+
+module.exports = router;
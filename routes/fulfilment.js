@@ -0,0 +1,65 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const { listAvailableSlots } = require("../services/slots");
+const { quoteBasket } = require("../services/pricing");
+
+const router = express.Router();
+
+/**
+ * GET /api/fulfilment/slots?method=collection|delivery
+ * Bookable slots with the places left in each (public).
+ * enabled is false when the method is "as soon as possible" only.
+ */
+router.get("/slots", async (req, res) => {
+  try {
+    const method = req.query.method || "collection";
+
+    if (!["delivery", "collection"].includes(method)) {
+      return res.status(400).json({ error: "Invalid delivery method" });
+    }
+
+    const slots = await listAvailableSlots(method);
+    res.json({ method, ...slots });
+  } catch (err) {
+    console.error("❌ Error listing slots:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to list slots"
+    });
+  }
+});
+
+/**
+ * POST /api/fulfilment/quote
+ * Price a basket before checkout: delivery fee for the postcode's zone,
+ * discounts, total and the slots still open
+ *
+ * body:
+ * {
+ *   items: [{ menuItemId, quantity, modifiers? }],
+ *   deliveryMethod: "delivery" | "collection",
+ *   postcode?: string,
+ *   promoCode?: string
+ * }
+ */
+router.post("/quote", requireAuth, async (req, res) => {
+  try {
+    const { items, deliveryMethod, postcode, promoCode } = req.body || {};
+
+    const quote = await quoteBasket({
+      items,
+      deliveryMethod,
+      postcode,
+      promoCode,
+      userId: req.user.uid
+    });
+
+    res.json(quote);
+  } catch (err) {
+    console.error("❌ Error quoting basket:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to quote basket"
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const {
+  createGiftCardPurchase,
+  redeemGiftCard,
+  listGiftCardPurchases
+} = require("../services/giftCards");
+
+const router = express.Router();
+
+// Every gift card route acts on behalf of the signed-in Firebase user
+router.use(requireAuth);
+
+/**
+ * POST /api/gift-cards/purchase
+ * Pay for a gift card. The code is issued by the webhook once paid.
+ *
+ * body:
+ * {
+ *   amount: number,          // pence
+ *   recipientEmail?: string,
+ *   message?: string,
+ *   paymentMethodId?: string
+ * }
+ */
+router.post("/purchase", async (req, res) => {
+  console.log("=== PURCHASE GIFT CARD REQUEST ===");
+
+  try {
+    const { amount, recipientEmail, message, paymentMethodId } = req.body || {};
+    const purchase = await createGiftCardPurchase(req.user, {
+      amount,
+      recipientEmail,
+      message,
+      paymentMethodId
+    });
+
+    console.log(`✅ Gift card purchase ${purchase.purchaseId} started for user ${req.user.uid}`);
+    res.json(purchase);
+  } catch (err) {
+    console.error("❌ Error purchasing gift card:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to purchase gift card" 
+    });
+  }
+});
+
+/**
+ * GET /api/gift-cards
+ * Gift cards the signed-in user has bought
+ */
+router.get("/", async (req, res) => {
+  try {
+    const purchases = await listGiftCardPurchases(req.user.uid);
+    res.json({ purchases });
+  } catch (err) {
+    console.error("Error fetching gift cards:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch gift cards" 
+    });
+  }
+});
+
+/**
+ * POST /api/gift-cards/redeem
+ * Add a gift card's value to the wallet
+ *
+ * body:
+ * {
+ *   code: string
+ * }
+ */
+router.post("/redeem", async (req, res) => {
+  console.log("=== REDEEM GIFT CARD REQUEST ===");
+
+  try {
+    const { code } = req.body || {};
+    const result = await redeemGiftCard(req.user.uid, code);
+
+    console.log(`✅ Gift card redeemed by user ${req.user.uid}: +£${(result.amount / 100).toFixed(2)}`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ Error redeeming gift card:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to redeem gift card" 
+    });
+  }
+});
+
+module.exports = router;
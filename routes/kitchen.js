@@ -0,0 +1,181 @@
+const express = require("express");
+const { requireAuth, requireStaff } = require("../middleware/auth");
+const { auditStaffActions } = require("../middleware/audit");
+const {
+  getKitchenQueue,
+  bulkTransitionOrders,
+  setPrepEstimate
+} = require("../services/kitchen");
+const { capturePreorder } = require("../services/preorders");
+const { listMenuDocs, updateMenuDoc } = require("../services/menu");
+const { streamLiveOrders } = require("../services/orderEvents");
+const { openEventStream } = require("../utils/sse");
+
+const router = express.Router();
+
+// Kitchen staff and admins only; every change is recorded in the staff
+// audit log
+router.use(requireAuth, requireStaff, auditStaffActions);
+
+/**
+ * GET /api/kitchen/orders
+ * The live order queue, soonest due first. Each order has a dueAt.
+ */
+router.get("/orders", async (req, res) => {
+  try {
+    const orders = await getKitchenQueue();
+    res.json(orders);
+  } catch (err) {
+    console.error("Error fetching kitchen queue:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch kitchen queue"
+    });
+  }
+});
+
+/**
+ * GET /api/kitchen/orders/events
+ * Server-Sent Events stream of the live orders; see streamLiveOrders
+ */
+router.get("/orders/events", (req, res) => {
+  streamLiveOrders(openEventStream(req, res));
+});
+
+/**
+ * POST /api/kitchen/orders/status
+ * Move several orders to the same status
+ *
+ * body:
+ * {
+ *   orderIds: string[],
+ *   status: "preparing" | "ready" | "out_for_delivery" | "collected" | "completed",
+ *   reason?: string
+ * }
+ */
+router.post("/orders/status", async (req, res) => {
+  try {
+    const { orderIds, status, reason = null } = req.body || {};
+
+    const result = await bulkTransitionOrders(orderIds, status, {
+      actor: req.user.uid,
+      reason
+    });
+
+    console.log(`✅ ${result.updated} order(s) moved to ${status}, ${result.failed} failed`);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Error updating order statuses:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to update order statuses"
+    });
+  }
+});
+
+/**
+ * POST /api/kitchen/orders/:id/estimate
+ * Set how many minutes from now an order will be ready
+ *
+ * body:
+ * {
+ *   prepMinutes: number
+ * }
+ */
+router.post("/orders/:id/estimate", async (req, res) => {
+  try {
+    const result = await setPrepEstimate(req.params.id, req.body?.prepMinutes, {
+      actor: req.user.uid
+    });
+
+    console.log(`✅ Order ${req.params.id} ready in ${result.prepMinutes} min`);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Error setting prep estimate:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to set prep estimate"
+    });
+  }
+});
+
+/**
+ * POST /api/kitchen/orders/:id/capture
+ * Take payment for an authorized pre-order once it's being made or ready.
+ * A lower amount (the new order total) releases the rest of the hold.
+ *
+ * body:
+ * {
+ *   amount?: number (in pence),
+ *   reason?: string
+ * }
+ */
+router.post("/orders/:id/capture", async (req, res) => {
+  try {
+    const { amount = null, reason = null } = req.body || {};
+
+    const result = await capturePreorder(req.params.id, {
+      amount,
+      reason,
+      actor: req.user.uid
+    });
+
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Error capturing pre-order payment:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to capture payment"
+    });
+  }
+});
+
+/**
+ * GET /api/kitchen/items
+ * Every menu item with its sold-out flag, for the 86 board
+ */
+router.get("/items", async (req, res) => {
+  try {
+    const items = await listMenuDocs("items");
+    res.json(items.map(item => ({
+      id: item.id,
+      name: item.name,
+      categoryId: item.categoryId || null,
+      soldOut: item.soldOut === true
+    })));
+  } catch (err) {
+    console.error("Error fetching kitchen items:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch items"
+    });
+  }
+});
+
+/**
+ * POST /api/kitchen/items/:id/86
+ * Mark an item sold out ("86" it) or back in stock
+ *
+ * body:
+ * {
+ *   soldOut: boolean
+ * }
+ */
+router.post("/items/:id/86", async (req, res) => {
+  try {
+    const { soldOut } = req.body || {};
+
+    if (typeof soldOut !== "boolean") {
+      return res.status(400).json({ error: "soldOut must be true or false" });
+    }
+
+    const item = await updateMenuDoc("items", req.params.id, { soldOut }, {
+      actor: req.user.uid
+    });
+
+    console.log(`✅ ${item.name} marked ${soldOut ? "sold out" : "back in stock"}`);
+    res.json(item);
+  } catch (err) {
+    console.error("❌ Error toggling sold out:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to update item"
+    });
+  }
+});
+
+module.exports = router;
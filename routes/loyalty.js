@@ -0,0 +1,53 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const { getLoyaltySummary, redeemPointsToWallet } = require("../services/loyalty");
+
+const router = express.Router();
+
+// Every loyalty route acts on behalf of the signed-in Firebase user
+router.use(requireAuth);
+
+/**
+ * GET /api/loyalty
+ * Points balance, conversion rate and recent history
+ */
+router.get("/", async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const summary = await getLoyaltySummary(req.user.uid, { limit });
+    res.json(summary);
+  } catch (err) {
+    console.error("Error fetching loyalty points:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch loyalty points" 
+    });
+  }
+});
+
+/**
+ * POST /api/loyalty/redeem
+ * Convert points into wallet credit
+ *
+ * body:
+ * {
+ *   points: number
+ * }
+ */
+router.post("/redeem", async (req, res) => {
+  console.log("=== REDEEM LOYALTY POINTS REQUEST ===");
+
+  try {
+    const { points } = req.body || {};
+    const result = await redeemPointsToWallet(req.user.uid, points);
+
+    console.log(`✅ ${points} points converted to £${(result.walletCredit / 100).toFixed(2)} for user ${req.user.uid}`);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error("❌ Error redeeming loyalty points:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to redeem loyalty points" 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require("express");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+const { auditStaffActions } = require("../middleware/audit");
+const {
+  MENU_RESOURCES,
+  listMenuDocs,
+  getMenuDoc,
+  createMenuDoc,
+  updateMenuDoc,
+  deleteMenuDoc,
+  getFullMenu
+} = require("../services/menu");
+
+const router = express.Router();
+
+/**
+ * Reject unknown resource names before hitting Firestore
+ */
+function checkResource(req, res, next) {
+  if (!MENU_RESOURCES[req.params.resource]) {
+    return res.status(404).json({ error: "Unknown menu resource" });
+  }
+  next();
+}
+
+/**
+ * GET /api/menu
+ * The customer-facing menu grouped by category (public)
+ */
+router.get("/", async (req, res) => {
+  try {
+    const menu = await getFullMenu();
+    res.json(menu);
+  } catch (err) {
+    console.error("Error fetching menu:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch menu" 
+    });
+  }
+});
+
+/**
+ * POST /api/menu/items/:id/sold-out
+ * Toggle an item's sold-out flag (admin only)
+ *
+ * body:
+ * {
+ *   soldOut: boolean
+ * }
+ */
+router.post("/items/:id/sold-out", requireAuth, requireAdmin, auditStaffActions, async (req, res) => {
+  try {
+    const { soldOut } = req.body || {};
+
+    if (typeof soldOut !== "boolean") {
+      return res.status(400).json({ error: "soldOut must be true or false" });
+    }
+
+    const item = await updateMenuDoc("items", req.params.id, { soldOut }, {
+      actor: req.user.uid
+    });
+
+    console.log(`✅ ${item.name} marked ${soldOut ? "sold out" : "back in stock"}`);
+    res.json(item);
+  } catch (err) {
+    console.error("❌ Error toggling sold out:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to update item" 
+    });
+  }
+});
+
+/**
+ * GET /api/menu/:resource
+ * List categories, items, modifier-groups, allergens or dietary-tags (public)
+ */
+router.get("/:resource", checkResource, async (req, res) => {
+  try {
+    const docs = await listMenuDocs(req.params.resource);
+    res.json(docs);
+  } catch (err) {
+    console.error(`Error fetching menu ${req.params.resource}:`, err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch menu" 
+    });
+  }
+});
+
+/**
+ * GET /api/menu/:resource/:id
+ */
+router.get("/:resource/:id", checkResource, async (req, res) => {
+  try {
+    const doc = await getMenuDoc(req.params.resource, req.params.id);
+    res.json(doc);
+  } catch (err) {
+    console.error(`Error fetching menu ${req.params.resource}:`, err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch menu" 
+    });
+  }
+});
+
+/**
+ * POST /api/menu/:resource
+ * Create a menu document (admin only)
+ */
+router.post("/:resource", checkResource, requireAuth, requireAdmin, auditStaffActions, async (req, res) => {
+  try {
+    const doc = await createMenuDoc(req.params.resource, req.body, {
+      actor: req.user.uid
+    });
+
+    console.log(`✅ Menu ${req.params.resource} created:`, doc.id);
+    res.status(201).json(doc);
+  } catch (err) {
+    console.error(`❌ Error creating menu ${req.params.resource}:`, err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to create menu entry" 
+    });
+  }
+});
+
+/**
+ * PUT /api/menu/:resource/:id
+ * Update the given fields of a menu document (admin only)
+ */
+router.put("/:resource/:id", checkResource, requireAuth, requireAdmin, auditStaffActions, async (req, res) => {
+  try {
+    const doc = await updateMenuDoc(req.params.resource, req.params.id, req.body, {
+      actor: req.user.uid
+    });
+
+    console.log(`✅ Menu ${req.params.resource} updated:`, doc.id);
+    res.json(doc);
+  } catch (err) {
+    console.error(`❌ Error updating menu ${req.params.resource}:`, err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to update menu entry" 
+    });
+  }
+});
+
+/**
+ * DELETE /api/menu/:resource/:id
+ * Delete a menu document (admin only)
+ */
+router.delete("/:resource/:id", checkResource, requireAuth, requireAdmin, auditStaffActions, async (req, res) => {
+  try {
+    await deleteMenuDoc(req.params.resource, req.params.id);
+
+    console.log(`✅ Menu ${req.params.resource} deleted:`, req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`❌ Error deleting menu ${req.params.resource}:`, err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to delete menu entry" 
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,271 @@
+const express = require("express");
+const { requireAuth, requireAdmin, isAdmin, isStaff } = require("../middleware/auth");
+const { auditStaffActions } = require("../middleware/audit");
+const {
+  createOrder,
+  cancelOrder,
+  transitionOrder,
+  getOrderForUser,
+  listUserOrders,
+  getStatusHistory
+} = require("../services/orders");
+const { createRetryPaymentIntent } = require("../services/paymentRecovery");
+const { buildReceipt, renderReceiptHtml, renderReceiptPdf } = require("../services/receipts");
+const { watchOrder } = require("../services/orderEvents");
+const { openEventStream } = require("../utils/sse");
+
+const router = express.Router();
+
+// Every order route acts on behalf of the signed-in Firebase user;
+// changes made by staff are recorded in the staff audit log
+router.use(requireAuth, auditStaffActions);
+
+/**
+ * POST /api/orders
+ * Create a pending order; prices are computed from the menu
+ *
+ * body:
+ * {
+ *   items: [{ menuItemId: string, quantity: number, modifiers?: [{ groupId, optionId }] }],
+ *   deliveryMethod: "delivery" | "collection",
+ *   deliveryAddress?: object (with a postcode),
+ *   slot?: { date: "YYYY-MM-DD", time: "HH:MM" },
+ *   notes?: string
+ * }
+ */
+router.post("/", async (req, res) => {
+  console.log("=== CREATE ORDER REQUEST ===");
+  console.log("Body:", JSON.stringify(req.body, null, 2));
+
+  try {
+    const { items, deliveryMethod, deliveryAddress, slot, notes } = req.body || {};
+
+    const order = await createOrder(req.user.uid, {
+      items,
+      deliveryMethod,
+      deliveryAddress,
+      slot,
+      notes
+    });
+
+    console.log("✅ Order created:", order.id);
+    res.status(201).json(order);
+  } catch (err) {
+    console.error("❌ Error creating order:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to create order" 
+    });
+  }
+});
+
+/**
+ * GET /api/orders
+ * The caller's orders, newest first
+ */
+router.get("/", async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const orders = await listUserOrders(req.user.uid, { limit });
+    res.json(orders);
+  } catch (err) {
+    console.error("Error fetching orders:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch orders" 
+    });
+  }
+});
+
+/**
+ * GET /api/orders/:id
+ * One order with its status history
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const order = await getOrderForUser(req.params.id, req.user, {
+      isStaff: isStaff(req.user)
+    });
+    const statusHistory = await getStatusHistory(req.params.id);
+
+    res.json({ ...order, statusHistory });
+  } catch (err) {
+    console.error("Error fetching order:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch order" 
+    });
+  }
+});
+
+/**
+ * GET /api/orders/:id/events
+ * Server-Sent Events stream of an order's progress.
+ *
+ * events:
+ *   order  - the order as it is now, sent on connect
+ *   update - { changes: ["status" | "payment"], order } on every status or
+ *            payment change
+ *   error  - { error } before the stream is closed
+ */
+router.get("/:id/events", async (req, res) => {
+  try {
+    await getOrderForUser(req.params.id, req.user, {
+      isStaff: isStaff(req.user)
+    });
+  } catch (err) {
+    console.error("Error opening order stream:", err);
+    return res.status(err.status || 500).json({ 
+      error: err.message || "Failed to open order stream" 
+    });
+  }
+
+  const stream = openEventStream(req, res);
+
+  const unsubscribe = watchOrder(req.params.id, (order, changes) => {
+    if (!order) {
+      stream.send("error", { error: "Order not found" });
+      return stream.close();
+    }
+
+    if (changes.length === 0) {
+      stream.send("order", order);
+    } else {
+      stream.send("update", { changes, order });
+    }
+  }, (err) => {
+    console.error(`❌ Order ${req.params.id} stream failed:`, err);
+    stream.send("error", { error: "Order stream failed" });
+    stream.close();
+  });
+
+  stream.onClose(unsubscribe);
+});
+
+/**
+ * GET /api/orders/:id/receipt
+ * Receipt for a paid order (a VAT invoice when a VAT number is configured).
+ * The invoice number is assigned the first time it is requested.
+ *
+ * query: format=html|pdf (defaults to the Accept header, then HTML)
+ */
+router.get("/:id/receipt", async (req, res) => {
+  try {
+    await getOrderForUser(req.params.id, req.user, {
+      isStaff: isStaff(req.user)
+    });
+
+    const format = req.query.format || (req.accepts(["html", "pdf"]) === "pdf" ? "pdf" : "html");
+    if (!["html", "pdf"].includes(format)) {
+      return res.status(400).json({ error: "format must be html or pdf" });
+    }
+
+    const receipt = await buildReceipt(req.params.id);
+
+    if (format === "pdf") {
+      const pdf = await renderReceiptPdf(receipt);
+      res.set("Content-Disposition", `inline; filename="${receipt.invoiceNumber}.pdf"`);
+      return res.type("application/pdf").send(pdf);
+    }
+
+    res.type("html").send(renderReceiptHtml(receipt));
+  } catch (err) {
+    console.error("Error building receipt:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to build receipt" 
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:id/cancel
+ * Cancel an order; a paid order is refunded, an unpaid one has its
+ * PaymentIntent canceled and wallet hold released
+ *
+ * body:
+ * {
+ *   reason?: string
+ * }
+ */
+router.post("/:id/cancel", async (req, res) => {
+  console.log("=== CANCEL ORDER REQUEST ===");
+
+  try {
+    const asAdmin = isAdmin(req.user);
+
+    // Customers can only cancel their own orders
+    await getOrderForUser(req.params.id, req.user, { isStaff: asAdmin });
+
+    const result = await cancelOrder(req.params.id, {
+      actor: req.user.uid,
+      reason: req.body?.reason || null,
+      asCustomer: !asAdmin
+    });
+
+    console.log(`✅ Order ${req.params.id} cancelled`);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Error cancelling order:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to cancel order" 
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:id/retry-payment
+ * Start a fresh PaymentIntent for an order whose card payment failed.
+ * This is where the failed-payment reminder's retry link leads.
+ */
+router.post("/:id/retry-payment", async (req, res) => {
+  console.log("=== RETRY ORDER PAYMENT REQUEST ===");
+
+  try {
+    const result = await createRetryPaymentIntent(req.params.id, req.user);
+
+    console.log(`✅ Retry payment intent ${result.paymentIntentId} created for order ${req.params.id}`);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Error retrying order payment:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to retry payment" 
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:id/status
+ * Move an order along the state machine (admin only).
+ * Cancelling goes through /cancel so the payment is undone.
+ *
+ * body:
+ * {
+ *   status: "confirmed" | "preparing" | "ready" | "out_for_delivery" | "collected" | "completed",
+ *   reason?: string
+ * }
+ */
+router.post("/:id/status", requireAdmin, async (req, res) => {
+  try {
+    const { status, reason = null } = req.body || {};
+
+    if (!status) {
+      return res.status(400).json({ error: "Missing status" });
+    }
+
+    if (status === "cancelled") {
+      return res.status(400).json({ error: "Use /cancel to cancel an order" });
+    }
+
+    const result = await transitionOrder(req.params.id, status, {
+      actor: req.user.uid,
+      reason
+    });
+
+    console.log(`✅ Order ${req.params.id}: ${result.from} → ${result.to}`);
+    res.json(result);
+  } catch (err) {
+    console.error("❌ Error updating order status:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to update order status" 
+    });
+  }
+});
+
+module.exports = router;
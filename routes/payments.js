@@ -1,50 +1,126 @@
 const express = require("express");
 const Stripe = require("stripe");
 const { db, admin } = require("../config/firebase");
+const { requireAuth } = require("../middleware/auth");
+const { HttpError } = require("../utils/httpError");
+const { getOrCreateCustomer } = require("../services/customers");
+const { getPayableOrder, calculateOrderTotal } = require("../services/pricing");
+const { normalizeCode } = require("../services/promotions");
+const { payOrderWithWallet, buildOrderPaymentIntentParams } = require("../services/orders");
+const { reserveSlot } = require("../services/slots");
+const {
+  syncSavedCards,
+  removeCustomerCard
+} = require("../services/cards");
+const { transferWalletFunds } = require("../services/walletTransfers");
+const { allowedOrigins } = require("../config/allowedOrigins");
+const { notify } = require("../services/notifications");
+const {
+  orderHoldReference,
+  creditWallet,
+  placeHold,
+  releaseHold,
+  getWalletSummary,
+  listLedgerEntries
+} = require("../services/wallet");
 
 const router = express.Router();
 const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 
+// Every payments route acts on behalf of the signed-in Firebase user
+router.use(requireAuth);
+
 /**
- * Get or create Stripe customer
+ * Retrieve a payment method and make sure it belongs to the customer.
+ * With allowUnattached, a payment method not yet attached to any
+ * customer is accepted so it can be attached to this one.
  */
-async function getOrCreateCustomer(userId, email) {
-  try {
-    const userRef = db.collection("users").doc(userId);
-    const userDoc = await userRef.get();
+async function getOwnedPaymentMethod(paymentMethodId, customerId, { allowUnattached = false } = {}) {
+  const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
 
-    if (userDoc.exists && userDoc.data().stripeCustomerId) {
-      return userDoc.data().stripeCustomerId;
-    }
+  if (paymentMethod.customer === customerId) {
+    return paymentMethod;
+  }
 
-    const customer = await stripe.customers.create({
-      email: email || `user_${userId}@example.com`,
-      metadata: { userId }
-    });
+  if (!paymentMethod.customer && allowUnattached) {
+    return paymentMethod;
+  }
 
-    await userRef.set(
-      { stripeCustomerId: customer.id },
-      { merge: true }
-    );
+  console.error("❌ Payment method does not belong to customer:", {
+    paymentMethodId,
+    customerId
+  });
+  throw new HttpError(403, "Payment method does not belong to this user");
+}
 
-    return customer.id;
+/**
+ * Checkout redirects may only go back to one of our own frontends
+ */
+function isAllowedRedirectUrl(url) {
+  try {
+    return allowedOrigins.includes(new URL(url).origin);
   } catch (error) {
-    console.error("Error creating Stripe customer:", error);
-    throw error;
+    return false;
+  }
+}
+
+/**
+ * Turn a server-side price breakdown into Checkout line items.
+ * Discounts can't be negative line items, so they become a one-off coupon.
+ */
+async function buildCheckoutLineItems(pricing, currency) {
+  const lineItems = pricing.lineItems.map(line => ({
+    quantity: line.quantity,
+    price_data: {
+      currency,
+      unit_amount: line.unitPrice,
+      product_data: {
+        name: line.name || line.menuItemId,
+        ...(line.modifiers.length > 0
+          ? { description: line.modifiers.map(modifier => modifier.name).join(", ") }
+          : {})
+      }
+    }
+  }));
+
+  if (pricing.deliveryFee > 0) {
+    lineItems.push({
+      quantity: 1,
+      price_data: {
+        currency,
+        unit_amount: pricing.deliveryFee,
+        product_data: { name: "Delivery" }
+      }
+    });
   }
+
+  let discounts;
+  if (pricing.discount > 0) {
+    const coupon = await stripe.coupons.create({
+      amount_off: pricing.discount,
+      currency,
+      duration: "once",
+      max_redemptions: 1,
+      name: "Order discount"
+    });
+    discounts = [{ coupon: coupon.id }];
+  }
+
+  return { lineItems, discounts };
 }
 
 /**
  * POST /api/payments/create-payment-intent
+ * The amount is computed server-side from the order's line items.
+ * A pre-order is only authorized (captureLater: true); the kitchen
+ * captures it once the order is made.
  *
  * body:
  * {
- *   amount: number (in pence),
- *   currency?: "gbp",
  *   orderId: string,
- *   userId: string,
  *   paymentMethodId?: string,
- *   walletAmount: number
+ *   walletAmount?: number (in pence),
+ *   promoCode?: string
  * }
  */
 router.post("/create-payment-intent", async (req, res) => {
@@ -53,31 +129,32 @@ router.post("/create-payment-intent", async (req, res) => {
   
   try {
     const {
-      amount,
       orderId,
-      userId,
       paymentMethodId,
       walletAmount = 0,
-      currency = "gbp",
+      promoCode = null
     } = req.body;
+    const userId = req.user.uid;
+    // Order totals are GBP pence, so the charge is always in GBP
+    const currency = "gbp";
 
     console.log("Parsed data:", {
-      amount,
       orderId,
       userId,
       paymentMethodId,
       walletAmount,
+      promoCode,
       currency
     });
 
-    if (!amount || amount <= 0) {
-      console.error("❌ Invalid amount:", amount);
-      return res.status(400).json({ error: "Invalid amount" });
+    if (!orderId) {
+      console.error("❌ Missing required fields:", { orderId });
+      return res.status(400).json({ error: "Missing required fields" });
     }
 
-    if (!orderId || !userId) {
-      console.error("❌ Missing required fields:", { orderId, userId });
-      return res.status(400).json({ error: "Missing required fields" });
+    if (!Number.isInteger(walletAmount) || walletAmount < 0) {
+      console.error("❌ Invalid wallet amount:", walletAmount);
+      return res.status(400).json({ error: "Invalid wallet amount" });
     }
 
     // Get user data from Firestore
@@ -95,7 +172,41 @@ router.post("/create-payment-intent", async (req, res) => {
       stripeCustomerId: userData.stripeCustomerId
     });
 
-    const customerId = await getOrCreateCustomer(userId, userData.email);
+    // =========================
+    // SERVER-SIDE ORDER PRICING
+    // =========================
+    const { orderRef, order } = await getPayableOrder(orderId, userId);
+    const normalizedPromoCode = promoCode ? normalizeCode(promoCode) : null;
+    const pricing = await calculateOrderTotal(
+      { ...order, promoCode: normalizedPromoCode },
+      { orderId }
+    );
+    const amount = pricing.total;
+
+    if (amount <= 0) {
+      console.error("❌ Invalid order total:", amount);
+      return res.status(400).json({ error: "Invalid order total" });
+    }
+
+    if (walletAmount > amount) {
+      console.error("❌ Wallet amount exceeds order total:", { walletAmount, amount });
+      return res.status(400).json({ error: "Wallet amount exceeds order total" });
+    }
+
+    // Funds already held for this order can be reused on a retry
+    const wallet = await getWalletSummary(userId);
+    const existingHold = wallet.holds[orderHoldReference(orderId)];
+    const availableForOrder = wallet.available + (existingHold ? existingHold.amount : 0);
+
+    if (walletAmount > availableForOrder) {
+      console.error("❌ Insufficient wallet balance:", {
+        walletAmount,
+        availableForOrder
+      });
+      return res.status(400).json({ error: "Insufficient wallet balance" });
+    }
+
+    const customerId = await getOrCreateCustomer(userId, userData.email || req.user.email);
     console.log("Customer ID:", customerId);
 
     // Calculate final Stripe amount (after wallet deduction)
@@ -105,60 +216,90 @@ router.post("/create-payment-intent", async (req, res) => {
       walletAmount,
       stripeAmount
     });
+
+    await orderRef.update({
+      pricing: {
+        ...pricing,
+        walletAmount,
+        stripeAmount
+      },
+      totalAmount: amount,
+      promoCode: normalizedPromoCode,
+      discountBreakdown: pricing.discounts,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
     
     if (stripeAmount <= 0) {
       // Full wallet payment, no Stripe needed
       console.log("💰 Wallet-only payment detected");
+      // The client completes it through /pay-with-wallet
       return res.json({
         clientSecret: null,
         paymentIntentId: null,
-        walletOnly: true
+        walletOnly: true,
+        pricing
       });
     }
 
     // Create payment intent parameters - DO NOT CONFIRM IMMEDIATELY
-    const paymentIntentParams = {
-      amount: stripeAmount,
-      currency,
-      customer: customerId,
-      metadata: {
-        orderId,
-        userId,
-        walletAmount: walletAmount.toString()
-      },
-      automatic_payment_methods: {
-        enabled: true,
-        allow_redirects: 'never'
-      }
-    };
+    // (also reserves the order's slot; pre-orders are captured later)
+    const paymentIntentParams = await buildOrderPaymentIntentParams(orderId, order, {
+      userId,
+      customerId,
+      totalAmount: amount,
+      walletAmount
+    });
 
     // If payment method is provided, attach it but DON'T confirm yet
     if (paymentMethodId) {
+      const paymentMethod = await getOwnedPaymentMethod(paymentMethodId, customerId, {
+        allowUnattached: true
+      });
+
       paymentIntentParams.payment_method = paymentMethodId;
       // DO NOT set confirm: true here - let frontend handle confirmation
       
       console.log("Using existing payment method:", paymentMethodId);
       
       // Attach payment method to customer if not already attached
-      try {
+      if (!paymentMethod.customer) {
         await stripe.paymentMethods.attach(paymentMethodId, {
           customer: customerId,
         });
         console.log("✅ Payment method attached");
-      } catch (error) {
-        // Payment method might already be attached, ignore
-        if (!error.message.includes("already attached")) {
-          console.error("❌ Error attaching payment method:", error);
-        } else {
-          console.log("ℹ️ Payment method already attached");
-        }
+      } else {
+        console.log("ℹ️ Payment method already attached");
       }
     } else {
       console.log("ℹ️ No payment method ID provided - will use new card");
     }
 
+    // =========================
+    // HOLD WALLET PORTION UNTIL THE CARD PAYMENT SUCCEEDS
+    // =========================
+    const holdReference = orderHoldReference(orderId);
+    if (walletAmount > 0) {
+      await placeHold(userId, holdReference, walletAmount, {
+        description: `Reserved for order ${orderId}`,
+        metadata: { orderId }
+      });
+      console.log(`💰 Wallet hold placed: £${(walletAmount / 100).toFixed(2)}`);
+    } else {
+      await releaseHold(userId, holdReference, {
+        description: "Order no longer uses wallet funds"
+      });
+    }
+
     // Create the payment intent WITHOUT confirming
-    const paymentIntent = await stripe.paymentIntents.create(paymentIntentParams);
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create(paymentIntentParams);
+    } catch (error) {
+      await releaseHold(userId, holdReference, {
+        description: "Payment intent could not be created"
+      });
+      throw error;
+    }
     
     console.log("✅ Payment intent created:", {
       id: paymentIntent.id,
@@ -166,11 +307,19 @@ router.post("/create-payment-intent", async (req, res) => {
       client_secret: paymentIntent.client_secret ? "***REDACTED***" : null
     });
 
+    // Remember the open PaymentIntent so cancelling the order can cancel it
+    await orderRef.update({
+      pendingPaymentIntentId: paymentIntent.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
     res.json({
       clientSecret: paymentIntent.client_secret,
       paymentIntentId: paymentIntent.id,
       walletOnly: false,
       status: paymentIntent.status,
+      captureLater: paymentIntent.capture_method === "manual",
+      pricing,
       // Return whether we should confirm on frontend
       requiresConfirmation: paymentIntent.status === 'requires_confirmation' || paymentIntent.status === 'requires_payment_method'
     });
@@ -180,7 +329,7 @@ router.post("/create-payment-intent", async (req, res) => {
     console.error("❌ Error type:", err.type);
     console.error("❌ Error code:", err.code);
     
-    res.status(500).json({ 
+    res.status(err.status || 500).json({ 
       error: err.message || "Failed to create payment intent",
       details: err.type,
       code: err.code
@@ -188,17 +337,177 @@ router.post("/create-payment-intent", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/payments/create-checkout-session
+ * Pay for an order on a Stripe-hosted Checkout page instead of Elements.
+ * The order is finalized by the checkout.session.completed webhook.
+ *
+ * body:
+ * {
+ *   orderId: string,
+ *   successUrl: string,  // must be on an allowed origin
+ *   cancelUrl: string,   // must be on an allowed origin
+ *   promoCode?: string
+ * }
+ */
+router.post("/create-checkout-session", async (req, res) => {
+  console.log("=== CREATE CHECKOUT SESSION REQUEST ===");
+
+  try {
+    const { orderId, successUrl, cancelUrl, promoCode = null } = req.body || {};
+    const userId = req.user.uid;
+    const currency = "gbp";
+
+    if (!orderId || !successUrl || !cancelUrl) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    if (!isAllowedRedirectUrl(successUrl) || !isAllowedRedirectUrl(cancelUrl)) {
+      console.error("❌ Checkout redirect not allowed:", { successUrl, cancelUrl });
+      return res.status(400).json({ error: "Redirect URLs must be on an allowed origin" });
+    }
+
+    const userDoc = await db.collection("users").doc(userId).get();
+
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // =========================
+    // SERVER-SIDE ORDER PRICING
+    // =========================
+    const { orderRef, order } = await getPayableOrder(orderId, userId);
+    const normalizedPromoCode = promoCode ? normalizeCode(promoCode) : null;
+    const pricing = await calculateOrderTotal(
+      { ...order, promoCode: normalizedPromoCode },
+      { orderId }
+    );
+
+    if (pricing.total <= 0) {
+      console.error("❌ Invalid order total:", pricing.total);
+      return res.status(400).json({ error: "Invalid order total" });
+    }
+
+    await reserveSlot(orderId, order);
+
+    const customerId = await getOrCreateCustomer(userId, userDoc.data().email || req.user.email);
+    const { lineItems, discounts } = await buildCheckoutLineItems(pricing, currency);
+
+    // Checkout is card-only, so any wallet hold from an earlier attempt goes back
+    await releaseHold(userId, orderHoldReference(orderId), {
+      description: "Order is being paid through Checkout"
+    });
+
+    // Only the newest session for an order can be paid
+    if (order.pendingCheckoutSessionId) {
+      const previousSession = await stripe.checkout.sessions.retrieve(order.pendingCheckoutSessionId);
+      if (previousSession.status === "open") {
+        await stripe.checkout.sessions.expire(previousSession.id);
+      }
+    }
+
+    const session = await stripe.checkout.sessions.create({
+      mode: "payment",
+      customer: customerId,
+      payment_method_types: ["card"],
+      line_items: lineItems,
+      discounts,
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      client_reference_id: orderId,
+      metadata: { orderId, userId },
+      payment_intent_data: {
+        metadata: {
+          orderId,
+          userId,
+          totalAmount: pricing.total.toString(),
+          walletAmount: "0",
+          source: "checkout"
+        }
+      }
+    });
+
+    await orderRef.update({
+      pricing: {
+        ...pricing,
+        walletAmount: 0,
+        stripeAmount: pricing.total
+      },
+      totalAmount: pricing.total,
+      promoCode: normalizedPromoCode,
+      discountBreakdown: pricing.discounts,
+      pendingCheckoutSessionId: session.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log("✅ Checkout session created:", session.id);
+
+    res.json({
+      sessionId: session.id,
+      url: session.url,
+      pricing
+    });
+  } catch (err) {
+    console.error("❌ Error creating checkout session:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to create checkout session" 
+    });
+  }
+});
+
+/**
+ * POST /api/payments/pay-with-wallet
+ * Pay for an order entirely from the wallet.
+ * Safe to retry: an order that is already paid is returned as-is.
+ *
+ * body:
+ * {
+ *   orderId: string
+ * }
+ */
+router.post("/pay-with-wallet", async (req, res) => {
+  console.log("=== PAY WITH WALLET REQUEST ===");
+
+  try {
+    const { orderId } = req.body;
+    const userId = req.user.uid;
+
+    if (!orderId) {
+      return res.status(400).json({ error: "Missing order ID" });
+    }
+
+    const result = await payOrderWithWallet(orderId, userId);
+
+    if (result.alreadyPaid) {
+      console.log("ℹ️ Order already paid:", orderId);
+    } else {
+      console.log(`✅ Order ${orderId} paid from wallet: £${(result.amount / 100).toFixed(2)}`);
+    }
+
+    res.json({
+      success: true,
+      orderId,
+      paymentStatus: "paid",
+      alreadyPaid: result.alreadyPaid,
+      amountPaid: result.amount,
+      walletBalance: result.walletBalance,
+      pricing: result.pricing
+    });
+  } catch (err) {
+    console.error("❌ Error paying with wallet:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to pay with wallet" 
+    });
+  }
+});
+
 /**
  * POST /api/payments/create-setup-intent
  * For saving cards
  */
 router.post("/create-setup-intent", async (req, res) => {
   try {
-    const { userId, email } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({ error: "Missing user ID" });
-    }
+    const { uid: userId, email } = req.user;
 
     const customerId = await getOrCreateCustomer(userId, email);
 
@@ -226,11 +535,12 @@ router.post("/create-setup-intent", async (req, res) => {
  */
 router.get("/payment-method/:id", async (req, res) => {
   try {
-    const paymentMethod = await stripe.paymentMethods.retrieve(req.params.id);
+    const customerId = await getOrCreateCustomer(req.user.uid, req.user.email);
+    const paymentMethod = await getOwnedPaymentMethod(req.params.id, customerId);
     res.json(paymentMethod);
   } catch (error) {
     console.error("Retrieve payment method error:", error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: error.message || "Failed to retrieve payment method" 
     });
   }
@@ -242,12 +552,21 @@ router.get("/payment-method/:id", async (req, res) => {
  */
 router.post("/set-default-card", async (req, res) => {
   try {
-    const { customerId, paymentMethodId, userId } = req.body;
+    const { customerId: requestedCustomerId, paymentMethodId } = req.body;
+    const userId = req.user.uid;
 
-    if (!customerId || !paymentMethodId || !userId) {
+    if (!paymentMethodId) {
       return res.status(400).json({ error: "Missing required data" });
     }
 
+    const customerId = await getOrCreateCustomer(userId, req.user.email);
+
+    if (requestedCustomerId && requestedCustomerId !== customerId) {
+      return res.status(403).json({ error: "Customer does not belong to this user" });
+    }
+
+    await getOwnedPaymentMethod(paymentMethodId, customerId);
+
     // Update Stripe customer
     await stripe.customers.update(customerId, {
       invoice_settings: {
@@ -255,20 +574,17 @@ router.post("/set-default-card", async (req, res) => {
       },
     });
 
-    // Update Firestore user document
-    const userRef = db.collection("users").doc(userId);
-    await userRef.update({
-      defaultPaymentMethod: paymentMethodId,
-      updatedAt: new Date().toISOString()
-    });
+    // Refresh the cached cards so isDefault moves with it
+    const savedCards = await syncSavedCards(userId, customerId);
 
     res.json({ 
       success: true, 
-      message: "Default card updated successfully" 
+      message: "Default card updated successfully",
+      savedCards
     });
   } catch (err) {
     console.error("Error setting default card:", err);
-    res.status(500).json({ 
+    res.status(err.status || 500).json({ 
       error: err.message || "Failed to set default card" 
     });
   }
@@ -276,10 +592,14 @@ router.post("/set-default-card", async (req, res) => {
 
 /**
  * GET /api/payments/cards/:userId
- * Get user's saved cards from Firestore
+ * Get user's saved cards, listed from Stripe (one per card fingerprint)
  */
 router.get("/cards/:userId", async (req, res) => {
   try {
+    if (req.params.userId !== req.user.uid) {
+      return res.status(403).json({ error: "Not allowed to view these cards" });
+    }
+
     const userRef = db.collection("users").doc(req.params.userId);
     const userDoc = await userRef.get();
     
@@ -287,8 +607,7 @@ router.get("/cards/:userId", async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const userData = userDoc.data();
-    const savedCards = userData.savedCards || [];
+    const savedCards = await syncSavedCards(req.params.userId, userDoc.data().stripeCustomerId);
     
     res.json(savedCards);
   } catch (err) {
@@ -305,22 +624,40 @@ router.get("/cards/:userId", async (req, res) => {
  */
 router.post("/attach-payment-method", async (req, res) => {
   try {
-    const { paymentMethodId, customerId } = req.body;
+    const { paymentMethodId, customerId: requestedCustomerId } = req.body;
 
-    if (!paymentMethodId || !customerId) {
+    if (!paymentMethodId) {
       return res.status(400).json({ error: "Missing required data" });
     }
 
+    const customerId = await getOrCreateCustomer(req.user.uid, req.user.email);
+
+    if (requestedCustomerId && requestedCustomerId !== customerId) {
+      return res.status(403).json({ error: "Customer does not belong to this user" });
+    }
+
+    const existing = await getOwnedPaymentMethod(paymentMethodId, customerId, {
+      allowUnattached: true
+    });
+
+    if (existing.customer) {
+      return res.json(existing);
+    }
+
     const paymentMethod = await stripe.paymentMethods.attach(paymentMethodId, {
       customer: customerId,
     });
+    await syncSavedCards(req.user.uid, customerId);
 
     res.json(paymentMethod);
   } catch (error) {
     console.error("Error attaching payment method:", error);
     
+    if (error.status) {
+      res.status(error.status).json({ error: error.message });
+    }
     // Check if already attached
-    if (error.type === 'StripeInvalidRequestError' && 
+    else if (error.type === 'StripeInvalidRequestError' && 
         error.code === 'resource_missing') {
       // Payment method doesn't exist or already attached
       res.status(400).json({ 
@@ -341,41 +678,29 @@ router.post("/attach-payment-method", async (req, res) => {
 router.delete("/card/:paymentMethodId", async (req, res) => {
   try {
     const { paymentMethodId } = req.params;
-    const { userId } = req.body;
+    const userId = req.user.uid;
 
-    if (!paymentMethodId || !userId) {
+    if (!paymentMethodId) {
       return res.status(400).json({ error: "Missing required data" });
     }
 
-    // Detach from Stripe
-    await stripe.paymentMethods.detach(paymentMethodId);
+    const customerId = await getOrCreateCustomer(userId, req.user.email);
+    const paymentMethod = await getOwnedPaymentMethod(paymentMethodId, customerId);
 
-    // Remove from Firestore
-    const userRef = db.collection("users").doc(userId);
-    const userDoc = await userRef.get();
-    
-    if (userDoc.exists) {
-      const userData = userDoc.data();
-      const savedCards = userData.savedCards || [];
-      const updatedCards = savedCards.filter(card => card.id !== paymentMethodId);
-      
-      await userRef.update({
-        savedCards: updatedCards,
-        // Reset default payment method if it was the one being deleted
-        defaultPaymentMethod: userData.defaultPaymentMethod === paymentMethodId 
-          ? null 
-          : userData.defaultPaymentMethod,
-        updatedAt: new Date().toISOString()
-      });
-    }
+    // Detach from Stripe, including copies of the same card
+    await removeCustomerCard(customerId, paymentMethod);
+
+    // Rebuild the cached list (also clears a removed default)
+    const savedCards = await syncSavedCards(userId, customerId);
 
     res.json({ 
       success: true, 
-      message: "Card removed successfully" 
+      message: "Card removed successfully",
+      savedCards
     });
   } catch (error) {
     console.error("Error removing card:", error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: error.message || "Failed to remove card" 
     });
   }
@@ -392,11 +717,12 @@ router.post("/add-money-to-wallet", async (req, res) => {
   try {
     const {
       amount,
-      userId,
       paymentMethodId,
-      saveCard = false,
-      currency = "gbp",
+      saveCard = false
     } = req.body;
+    const userId = req.user.uid;
+    // Wallet balances are GBP pence, so top-ups are always in GBP
+    const currency = "gbp";
 
     console.log("Parsed data:", {
       amount,
@@ -406,16 +732,11 @@ router.post("/add-money-to-wallet", async (req, res) => {
       currency
     });
 
-    if (!amount || amount <= 0) {
+    if (!Number.isInteger(amount) || amount <= 0) {
       console.error("❌ Invalid amount:", amount);
       return res.status(400).json({ error: "Invalid amount" });
     }
 
-    if (!userId) {
-      console.error("❌ Missing user ID");
-      return res.status(400).json({ error: "Missing user ID" });
-    }
-
     // Get user data from Firestore
     const userRef = db.collection("users").doc(userId);
     const userDoc = await userRef.get();
@@ -426,7 +747,7 @@ router.post("/add-money-to-wallet", async (req, res) => {
     }
 
     const userData = userDoc.data();
-    const customerId = await getOrCreateCustomer(userId, userData.email);
+    const customerId = await getOrCreateCustomer(userId, userData.email || req.user.email);
     console.log("Customer ID:", customerId);
 
     // Create payment intent for wallet top-up
@@ -449,27 +770,31 @@ router.post("/add-money-to-wallet", async (req, res) => {
 
     // Add payment_method if provided
     if (paymentMethodId) {
+      const paymentMethod = await getOwnedPaymentMethod(paymentMethodId, customerId, {
+        allowUnattached: true
+      });
+
       paymentIntentParams.payment_method = paymentMethodId;
       
       // Attach payment method to customer if not already attached
-      try {
+      if (!paymentMethod.customer) {
         await stripe.paymentMethods.attach(paymentMethodId, {
           customer: customerId,
         });
         console.log("✅ Payment method attached");
-      } catch (error) {
-        // Payment method might already be attached, ignore
-        if (!error.message.includes("already attached")) {
-          console.error("❌ Error attaching payment method:", error);
-        } else {
-          console.log("ℹ️ Payment method already attached");
-        }
+      } else {
+        console.log("ℹ️ Payment method already attached");
       }
     } else {
       // For new cards, don't confirm automatically
       delete paymentIntentParams.confirm;
       delete paymentIntentParams.off_session;
       paymentIntentParams.automatic_payment_methods.enabled = true;
+
+      // Keep the new card on the customer so the webhook can save it
+      if (saveCard) {
+        paymentIntentParams.setup_future_usage = "off_session";
+      }
     }
 
     // Create the payment intent
@@ -491,49 +816,26 @@ router.post("/add-money-to-wallet", async (req, res) => {
       });
     }
 
-    // If payment succeeded, update user's wallet balance
+    // If payment succeeded, credit the wallet ledger
+    let wallet = null;
     if (paymentIntent.status === 'succeeded') {
-      const currentBalance = userData.walletBalance || 0;
-      const newBalance = currentBalance + amount;
-      
-      await userRef.update({
-        walletBalance: newBalance,
-        updatedAt: new Date().toISOString(),
-        walletTransactions: admin.firestore.FieldValue.arrayUnion({
-          type: "deposit",
-          amount: amount,
-          previousBalance: currentBalance,
-          newBalance: newBalance,
-          timestamp: new Date().toISOString(),
-          status: "completed",
-          description: "Wallet top-up via card",
+      wallet = await creditWallet(userId, amount, {
+        entryId: `topup_${paymentIntent.id}`,
+        type: "top_up",
+        description: "Wallet top-up via card",
+        reference: paymentIntent.id,
+        metadata: {
           stripePaymentIntentId: paymentIntent.id,
           stripeChargeId: paymentIntent.latest_charge || null,
           paymentMethod: paymentMethodId ? "saved_card" : "new_card",
           saveCard: saveCard
-        })
+        }
       });
 
-      // If saveCard is true and new card was used, save it
+      // If saveCard is true and new card was used, Stripe has attached it
       if (saveCard && !paymentMethodId && paymentIntent.payment_method) {
         try {
-          // Get payment method details
-          const paymentMethod = await stripe.paymentMethods.retrieve(paymentIntent.payment_method);
-          
-          const cardData = {
-            id: paymentMethod.id,
-            brand: paymentMethod.card.brand,
-            last4: paymentMethod.card.last4,
-            expMonth: paymentMethod.card.exp_month,
-            expYear: paymentMethod.card.exp_year,
-            createdAt: new Date().toISOString()
-          };
-          
-          await userRef.update({
-            savedCards: admin.firestore.FieldValue.arrayUnion(cardData),
-            updatedAt: new Date().toISOString()
-          });
-          
+          await syncSavedCards(userId, paymentIntent.customer);
           console.log("✅ New card saved for user");
         } catch (error) {
           console.error("Error saving new card:", error);
@@ -541,6 +843,12 @@ router.post("/add-money-to-wallet", async (req, res) => {
       }
 
       console.log(`✅ Wallet updated for user ${userId}: +${amount/100} GBP`);
+
+      if (!wallet.duplicate) {
+        await notify(userId, "wallet_top_up", { amount, balance: wallet.balance }, {
+          dedupeKey: `wallet_top_up_${paymentIntent.id}`
+        });
+      }
     }
 
     res.json({
@@ -549,7 +857,7 @@ router.post("/add-money-to-wallet", async (req, res) => {
       status: paymentIntent.status,
       requiresConfirmation: false,
       amountAdded: amount,
-      newBalance: (userData.walletBalance || 0) + amount
+      newBalance: wallet ? wallet.balance : (userData.walletBalance || 0)
     });
 
   } catch (err) {
@@ -557,7 +865,7 @@ router.post("/add-money-to-wallet", async (req, res) => {
     console.error("❌ Error type:", err.type);
     console.error("❌ Error code:", err.code);
     
-    res.status(500).json({ 
+    res.status(err.status || 500).json({ 
       error: err.message || "Failed to add money to wallet",
       details: err.type,
       code: err.code
@@ -565,4 +873,69 @@ router.post("/add-money-to-wallet", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/payments/wallet
+ * Wallet balance, active holds and the most recent ledger entries
+ */
+router.get("/wallet", async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const [summary, entries] = await Promise.all([
+      getWalletSummary(req.user.uid),
+      listLedgerEntries(req.user.uid, { limit })
+    ]);
+
+    res.json({ ...summary, entries });
+  } catch (err) {
+    console.error("Error fetching wallet:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch wallet" 
+    });
+  }
+});
+
+/**
+ * POST /api/payments/wallet/transfer
+ * Send wallet balance to another user
+ *
+ * body:
+ * {
+ *   recipientEmail: string,
+ *   amount: number,      // pence
+ *   note?: string,
+ *   requestId?: string   // retries with the same id are not sent twice
+ * }
+ */
+router.post("/wallet/transfer", async (req, res) => {
+  console.log("=== WALLET TRANSFER REQUEST ===");
+
+  try {
+    const { recipientEmail, amount, note, requestId } = req.body || {};
+
+    if (!recipientEmail) {
+      return res.status(400).json({ error: "Missing recipientEmail" });
+    }
+
+    const transfer = await transferWalletFunds(req.user.uid, {
+      recipientEmail,
+      amount,
+      note,
+      requestId
+    });
+
+    if (transfer.duplicate) {
+      console.log("ℹ️ Wallet transfer already processed:", transfer.id);
+    } else {
+      console.log(`💰 £${(amount / 100).toFixed(2)} sent from ${req.user.uid} to ${transfer.recipientId}`);
+    }
+
+    res.json({ success: true, transfer });
+  } catch (err) {
+    console.error("❌ Error transferring wallet funds:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to transfer wallet funds" 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
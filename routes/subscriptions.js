@@ -0,0 +1,162 @@
+const express = require("express");
+const { requireAuth } = require("../middleware/auth");
+const {
+  listMealPlans,
+  createSubscription,
+  getOwnedSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  listUserSubscriptions
+} = require("../services/subscriptions");
+
+const router = express.Router();
+
+// Every subscription route acts on behalf of the signed-in Firebase user
+router.use(requireAuth);
+
+/**
+ * GET /api/subscriptions/plans
+ * Meal plans that can be subscribed to
+ */
+router.get("/plans", async (req, res) => {
+  try {
+    const plans = await listMealPlans({ activeOnly: true });
+    res.json(plans);
+  } catch (err) {
+    console.error("Error fetching meal plans:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch meal plans" 
+    });
+  }
+});
+
+/**
+ * GET /api/subscriptions
+ * The signed-in user's meal-plan subscriptions
+ */
+router.get("/", async (req, res) => {
+  try {
+    const subscriptions = await listUserSubscriptions(req.user.uid);
+    res.json(subscriptions);
+  } catch (err) {
+    console.error("Error fetching subscriptions:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch subscriptions" 
+    });
+  }
+});
+
+/**
+ * POST /api/subscriptions
+ * Subscribe to a weekly meal plan, charged to the default card
+ *
+ * body:
+ * {
+ *   planId: string,
+ *   deliveryMethod?: "delivery" | "collection",
+ *   deliveryAddress?: object,
+ *   notes?: string
+ * }
+ */
+router.post("/", async (req, res) => {
+  console.log("=== CREATE SUBSCRIPTION REQUEST ===");
+
+  try {
+    const { planId, deliveryMethod, deliveryAddress, notes } = req.body || {};
+
+    if (!planId) {
+      return res.status(400).json({ error: "Missing planId" });
+    }
+
+    const subscription = await createSubscription(req.user, {
+      planId,
+      deliveryMethod,
+      deliveryAddress,
+      notes
+    });
+
+    console.log(`✅ Subscription ${subscription.id} created for user ${req.user.uid}`);
+    res.status(201).json(subscription);
+  } catch (err) {
+    console.error("❌ Error creating subscription:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to create subscription" 
+    });
+  }
+});
+
+/**
+ * GET /api/subscriptions/:id
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const subscription = await getOwnedSubscription(req.params.id, req.user.uid);
+    res.json(subscription);
+  } catch (err) {
+    console.error("Error fetching subscription:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to fetch subscription" 
+    });
+  }
+});
+
+/**
+ * POST /api/subscriptions/:id/pause
+ * Stop billing and weekly orders until resumed
+ */
+router.post("/:id/pause", async (req, res) => {
+  try {
+    const subscription = await pauseSubscription(req.params.id, req.user.uid);
+    console.log("✅ Subscription paused:", req.params.id);
+    res.json(subscription);
+  } catch (err) {
+    console.error("❌ Error pausing subscription:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to pause subscription" 
+    });
+  }
+});
+
+/**
+ * POST /api/subscriptions/:id/resume
+ */
+router.post("/:id/resume", async (req, res) => {
+  try {
+    const subscription = await resumeSubscription(req.params.id, req.user.uid);
+    console.log("✅ Subscription resumed:", req.params.id);
+    res.json(subscription);
+  } catch (err) {
+    console.error("❌ Error resuming subscription:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to resume subscription" 
+    });
+  }
+});
+
+/**
+ * POST /api/subscriptions/:id/cancel
+ *
+ * body:
+ * {
+ *   atPeriodEnd?: boolean (default true: keep the week already paid for)
+ * }
+ */
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const { atPeriodEnd = true } = req.body || {};
+    const subscription = await cancelSubscription(req.params.id, req.user.uid, {
+      atPeriodEnd: atPeriodEnd !== false
+    });
+
+    console.log("✅ Subscription cancelled:", req.params.id);
+    res.json(subscription);
+  } catch (err) {
+    console.error("❌ Error cancelling subscription:", err);
+    res.status(err.status || 500).json({ 
+      error: err.message || "Failed to cancel subscription" 
+    });
+  }
+});
+
+module.exports = router;
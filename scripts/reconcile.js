@@ -0,0 +1,41 @@
+/**
+ * Compare Stripe with Firestore from the command line:
+ *   npm run reconcile -- --from 2026-01-01 --to 2026-01-31 [--fix]
+ *
+ * Dates are UTC days, both inclusive; without them the last two days are
+ * checked. Only reports unless --fix is given.
+ */
+require("dotenv").config();
+const { reconcile } = require("../services/reconciliation");
+
+function readArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? null : process.argv[index + 1];
+}
+
+function parseDay(value, name) {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime())) {
+    console.error(`❌ --${name} must be a date (YYYY-MM-DD)`);
+    process.exit(1);
+  }
+  return date;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const fromArg = readArg("from");
+const toArg = readArg("to");
+
+const to = toArg ? new Date(parseDay(toArg, "to").getTime() + DAY_MS) : new Date();
+const from = fromArg ? parseDay(fromArg, "from") : new Date(to.getTime() - 2 * DAY_MS);
+
+reconcile({ from, to, fix: process.argv.includes("--fix") })
+  .then((report) => {
+    console.log(JSON.stringify(report, null, 2));
+    const unresolved = report.mismatches.filter(item => !item.fixed);
+    process.exit(unresolved.length > 0 ? 1 : 0);
+  })
+  .catch((error) => {
+    console.error("❌ Reconciliation failed:", error);
+    process.exit(1);
+  });
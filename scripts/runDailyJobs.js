@@ -0,0 +1,17 @@
+/**
+ * Run the daily jobs from the command line:
+ *   npm run jobs:daily
+ */
+require("dotenv").config();
+const { runDailyJobs } = require("../services/scheduledJobs");
+
+runDailyJobs()
+  .then((results) => {
+    console.log(JSON.stringify(results, null, 2));
+    const failed = Object.values(results).some(result => result.error);
+    process.exit(failed ? 1 : 0);
+  })
+  .catch((error) => {
+    console.error("❌ Daily jobs failed:", error);
+    process.exit(1);
+  });
@@ -2,23 +2,21 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const paymentsRoutes = require("./routes/payments");
+const adminRoutes = require("./routes/admin");
+const ordersRoutes = require("./routes/orders");
+const menuRoutes = require("./routes/menu");
+const loyaltyRoutes = require("./routes/loyalty");
+const giftCardRoutes = require("./routes/giftCards");
+const subscriptionRoutes = require("./routes/subscriptions");
+const cronRoutes = require("./routes/cron");
+const kitchenRoutes = require("./routes/kitchen");
+const fulfilmentRoutes = require("./routes/fulfilment");
 const stripeWebhook = require("./routes/stripeWebhook");
 const { db } = require("./config/firebase");
+const { allowedOrigins } = require("./config/allowedOrigins");
 
 const app = express();
 
-// =========================
-// DEFINE ALLOWED ORIGINS
-// =========================
-const allowedOrigins = [
-  "http://localhost:5173",
-  "http://localhost:3000",
-  "https://adaskitchen-app.vercel.app",
-  "https://adaskitchen-backend.vercel.app",
-  "https://adaskitchen.uk",
-  "https://www.adaskitchen.uk"
-];
-
 // =========================
 // CORS Configuration
 // =========================
@@ -37,7 +35,8 @@ const corsOptions = {
     }
   },
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", "Stripe-Signature"],
+  // Last-Event-ID and Cache-Control are sent by EventSource clients reconnecting
+  allowedHeaders: ["Content-Type", "Authorization", "Stripe-Signature", "Last-Event-ID", "Cache-Control"],
   credentials: true,
   exposedHeaders: ["Content-Length", "X-Request-Id"]
 };
@@ -64,6 +63,15 @@ app.use(express.json());
 // Routes
 // =========================
 app.use("/api/payments", paymentsRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/orders", ordersRoutes);
+app.use("/api/menu", menuRoutes);
+app.use("/api/loyalty", loyaltyRoutes);
+app.use("/api/gift-cards", giftCardRoutes);
+app.use("/api/subscriptions", subscriptionRoutes);
+app.use("/api/cron", cronRoutes);
+app.use("/api/kitchen", kitchenRoutes);
+app.use("/api/fulfilment", fulfilmentRoutes);
 
 // =========================
 // Debug endpoint
@@ -0,0 +1,159 @@
+const Stripe = require("stripe");
+const { db, admin } = require("../config/firebase");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Saved cards
+ *
+ * Stripe is the source of truth. savedCards on the user document is a cache
+ * rebuilt from the customer's card payment methods whenever one is added,
+ * removed or updated, with cards that share a fingerprint shown once.
+ * cardExpiryMonths lists their expiry months ("YYYY-MM") so the expiry
+ * reminders can query for them.
+ */
+
+/**
+ * Shape stored in a user's savedCards array
+ */
+function toSavedCard(paymentMethod, defaultPaymentMethodId) {
+  return {
+    id: paymentMethod.id,
+    brand: paymentMethod.card.brand,
+    last4: paymentMethod.card.last4,
+    expMonth: paymentMethod.card.exp_month,
+    expYear: paymentMethod.card.exp_year,
+    fingerprint: paymentMethod.card.fingerprint || null,
+    isDefault: paymentMethod.id === defaultPaymentMethodId,
+    createdAt: new Date(paymentMethod.created * 1000).toISOString()
+  };
+}
+
+/**
+ * "YYYY-MM" month a saved card expires in
+ */
+function cardExpiryMonth(card) {
+  return `${card.expYear}-${String(card.expMonth).padStart(2, "0")}`;
+}
+
+/**
+ * One payment method per card fingerprint: the default if it is one of
+ * them, otherwise the most recently added
+ */
+function dedupeByFingerprint(paymentMethods, defaultPaymentMethodId) {
+  const byFingerprint = new Map();
+
+  paymentMethods.forEach((paymentMethod) => {
+    const key = paymentMethod.card.fingerprint || paymentMethod.id;
+    const current = byFingerprint.get(key);
+
+    if (
+      !current ||
+      paymentMethod.id === defaultPaymentMethodId ||
+      (current.id !== defaultPaymentMethodId && paymentMethod.created > current.created)
+    ) {
+      byFingerprint.set(key, paymentMethod);
+    }
+  });
+
+  return [...byFingerprint.values()].sort((a, b) => b.created - a.created);
+}
+
+/**
+ * All card payment methods attached to a customer, plus its default
+ */
+async function listCustomerPaymentMethods(customerId) {
+  const [customer, paymentMethods] = await Promise.all([
+    stripe.customers.retrieve(customerId),
+    stripe.paymentMethods.list({ customer: customerId, type: "card" }).autoPagingToArray({ limit: 1000 })
+  ]);
+
+  if (customer.deleted) {
+    return { paymentMethods: [], defaultPaymentMethodId: null };
+  }
+
+  const defaultPaymentMethod = customer.invoice_settings?.default_payment_method;
+
+  return {
+    paymentMethods,
+    defaultPaymentMethodId: typeof defaultPaymentMethod === "string"
+      ? defaultPaymentMethod
+      : defaultPaymentMethod?.id || null
+  };
+}
+
+/**
+ * Rebuild a user's savedCards from Stripe and return them
+ */
+async function syncSavedCards(userId, customerId = null) {
+  const userRef = db.collection("users").doc(userId);
+
+  if (!customerId) {
+    const userDoc = await userRef.get();
+    customerId = userDoc.exists ? userDoc.data().stripeCustomerId : null;
+  }
+
+  if (!customerId) {
+    return [];
+  }
+
+  const { paymentMethods, defaultPaymentMethodId } = await listCustomerPaymentMethods(customerId);
+  const savedCards = dedupeByFingerprint(paymentMethods, defaultPaymentMethodId)
+    .map(paymentMethod => toSavedCard(paymentMethod, defaultPaymentMethodId));
+
+  await userRef.set({
+    savedCards,
+    cardExpiryMonths: [...new Set(savedCards.map(cardExpiryMonth))],
+    defaultPaymentMethod: savedCards.some(card => card.isDefault) ? defaultPaymentMethodId : null,
+    cardsSyncedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return savedCards;
+}
+
+/**
+ * Rebuild savedCards for whichever user owns a Stripe customer.
+ * Used by the payment_method.* and setup_intent webhooks.
+ */
+async function syncSavedCardsForCustomer(customerId) {
+  const snapshot = await db.collection("users")
+    .where("stripeCustomerId", "==", customerId)
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    return null;
+  }
+
+  const userId = snapshot.docs[0].id;
+  const savedCards = await syncSavedCards(userId, customerId);
+
+  return { userId, savedCards };
+}
+
+/**
+ * Detach a card from the customer, along with any duplicates of it
+ * (same fingerprint) so it doesn't reappear in the list
+ */
+async function removeCustomerCard(customerId, paymentMethod) {
+  const { paymentMethods } = await listCustomerPaymentMethods(customerId);
+  const fingerprint = paymentMethod.card?.fingerprint;
+  const toDetach = paymentMethods.filter(candidate =>
+    candidate.id === paymentMethod.id ||
+    (fingerprint && candidate.card.fingerprint === fingerprint)
+  );
+
+  for (const candidate of toDetach) {
+    await stripe.paymentMethods.detach(candidate.id);
+  }
+
+  return toDetach.map(candidate => candidate.id);
+}
+
+module.exports = {
+  cardExpiryMonth,
+  syncSavedCards,
+  syncSavedCardsForCustomer,
+  removeCustomerCard
+};
@@ -0,0 +1,37 @@
+const Stripe = require("stripe");
+const { db } = require("../config/firebase");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Get or create Stripe customer
+ */
+async function getOrCreateCustomer(userId, email) {
+  try {
+    const userRef = db.collection("users").doc(userId);
+    const userDoc = await userRef.get();
+
+    if (userDoc.exists && userDoc.data().stripeCustomerId) {
+      return userDoc.data().stripeCustomerId;
+    }
+
+    const customer = await stripe.customers.create({
+      email: email || `user_${userId}@example.com`,
+      metadata: { userId }
+    });
+
+    await userRef.set(
+      { stripeCustomerId: customer.id },
+      { merge: true }
+    );
+
+    return customer.id;
+  } catch (error) {
+    console.error("Error creating Stripe customer:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getOrCreateCustomer
+};
@@ -0,0 +1,221 @@
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+
+/**
+ * Delivery zones
+ *
+ * Each zone in deliveryZones covers a list of postcode districts (the
+ * outward code, e.g. "E8" or "SW1A") and sets its own delivery fee,
+ * minimum order and free-delivery threshold, all in pence. While no zone
+ * is active, delivery works as before: anywhere, at the fee in
+ * settings/pricing.
+ */
+
+const POSTCODE_PATTERN = /^[A-Z]{1,2}[0-9][A-Z0-9]?[0-9][A-Z]{2}$/;
+const DISTRICT_PATTERN = /^[A-Z]{1,2}[0-9][A-Z0-9]?$/;
+
+/**
+ * Upper-case a UK postcode with a single space before the inward code.
+ * Returns null for anything that isn't a postcode.
+ */
+function normalizePostcode(postcode) {
+  const compact = String(postcode || "").replace(/\s+/g, "").toUpperCase();
+
+  if (!POSTCODE_PATTERN.test(compact)) {
+    return null;
+  }
+
+  return `${compact.slice(0, -3)} ${compact.slice(-3)}`;
+}
+
+/**
+ * The postcode district (outward code) of a postcode
+ */
+function postcodeDistrict(postcode) {
+  const normalized = normalizePostcode(postcode);
+  return normalized ? normalized.split(" ")[0] : null;
+}
+
+function postcodeOf(address) {
+  return address?.postcode || address?.postalCode || null;
+}
+
+async function listActiveZones() {
+  const snapshot = await db.collection("deliveryZones")
+    .where("active", "==", true)
+    .get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * The zone a delivery address falls in.
+ * Resolves to null while no zones are set up; throws a 400 when the
+ * address is outside every zone.
+ */
+async function findDeliveryZone(address) {
+  const zones = await listActiveZones();
+
+  if (zones.length === 0) {
+    return null;
+  }
+
+  const district = postcodeDistrict(postcodeOf(address));
+
+  if (!district) {
+    throw new HttpError(400, "A valid UK postcode is needed for delivery");
+  }
+
+  const zone = zones.find(candidate => (candidate.districts || []).includes(district));
+
+  if (!zone) {
+    throw new HttpError(400, `Sorry, we don't deliver to ${district}`);
+  }
+
+  return zone;
+}
+
+/**
+ * Delivery fee for a subtotal in a zone, or an error below its minimum order
+ */
+function zoneDeliveryFee(zone, subtotal) {
+  if (zone.minimumOrder && subtotal < zone.minimumOrder) {
+    throw new HttpError(
+      400,
+      `The minimum order for delivery to ${zone.name} is £${(zone.minimumOrder / 100).toFixed(2)}`
+    );
+  }
+
+  if (zone.freeDeliveryThreshold != null && subtotal >= zone.freeDeliveryThreshold) {
+    return 0;
+  }
+
+  return zone.fee || 0;
+}
+
+// =========================
+// ADMIN
+// =========================
+
+function validateZone(data, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== "string" || !data.name.trim()) {
+      throw new HttpError(400, "name is required");
+    }
+    fields.name = data.name.trim();
+  }
+
+  if (!partial || data.districts !== undefined) {
+    if (!Array.isArray(data.districts) || data.districts.length === 0) {
+      throw new HttpError(400, "districts must be a non-empty list of postcode districts");
+    }
+
+    fields.districts = [...new Set(data.districts.map(district => String(district).trim().toUpperCase()))];
+    const invalid = fields.districts.filter(district => !DISTRICT_PATTERN.test(district));
+    if (invalid.length > 0) {
+      throw new HttpError(400, `Not postcode districts: ${invalid.join(", ")}`);
+    }
+  }
+
+  if (!partial || data.fee !== undefined) {
+    if (!Number.isInteger(data.fee) || data.fee < 0) {
+      throw new HttpError(400, "fee must be a whole number of pence");
+    }
+    fields.fee = data.fee;
+  }
+
+  ["minimumOrder", "freeDeliveryThreshold"].forEach((field) => {
+    if (data[field] !== undefined) {
+      if (data[field] !== null && (!Number.isInteger(data[field]) || data[field] < 0)) {
+        throw new HttpError(400, `${field} must be a whole number of pence`);
+      }
+      fields[field] = data[field];
+    }
+  });
+
+  if (data.active !== undefined) {
+    fields.active = !!data.active;
+  }
+
+  return fields;
+}
+
+/**
+ * A district may only be in one active zone, so its fee is unambiguous
+ */
+async function assertDistrictsFree(districts, zoneId = null) {
+  const taken = (await listActiveZones())
+    .filter(zone => zone.id !== zoneId)
+    .flatMap(zone => (zone.districts || [])
+      .filter(district => districts.includes(district))
+      .map(district => `${district} (${zone.name})`));
+
+  if (taken.length > 0) {
+    throw new HttpError(409, `Already in another zone: ${taken.join(", ")}`);
+  }
+}
+
+async function getDeliveryZone(zoneId) {
+  const doc = await db.collection("deliveryZones").doc(zoneId).get();
+
+  if (!doc.exists) {
+    throw new HttpError(404, "Delivery zone not found");
+  }
+
+  return { id: doc.id, ...doc.data() };
+}
+
+async function listDeliveryZones() {
+  const snapshot = await db.collection("deliveryZones").get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+async function createDeliveryZone(data, { actor } = {}) {
+  const fields = validateZone(data || {});
+
+  if (fields.active !== false) {
+    await assertDistrictsFree(fields.districts);
+  }
+
+  const ref = db.collection("deliveryZones").doc();
+  await ref.set({
+    active: true,
+    minimumOrder: 0,
+    freeDeliveryThreshold: null,
+    ...fields,
+    createdBy: actor || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return getDeliveryZone(ref.id);
+}
+
+async function updateDeliveryZone(zoneId, data, { actor } = {}) {
+  const fields = validateZone(data || {}, { partial: true });
+  const zone = await getDeliveryZone(zoneId);
+
+  if ((fields.active ?? zone.active) !== false) {
+    await assertDistrictsFree(fields.districts || zone.districts || [], zoneId);
+  }
+
+  await db.collection("deliveryZones").doc(zoneId).update({
+    ...fields,
+    updatedBy: actor || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return getDeliveryZone(zoneId);
+}
+
+module.exports = {
+  normalizePostcode,
+  postcodeDistrict,
+  findDeliveryZone,
+  zoneDeliveryFee,
+  listDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone
+};
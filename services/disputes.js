@@ -0,0 +1,218 @@
+const Stripe = require("stripe");
+const { db, admin } = require("../config/firebase");
+const { placeHold, captureHold, releaseHold } = require("./wallet");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Stripe dispute statuses that still need attention
+const OPEN_DISPUTE_STATUSES = [
+  "warning_needs_response",
+  "warning_under_review",
+  "needs_response",
+  "under_review"
+];
+
+/**
+ * Wallet hold reference used to freeze a disputed top-up
+ */
+function disputeHoldReference(disputeId) {
+  return `dispute_${disputeId}`;
+}
+
+/**
+ * Load the PaymentIntent behind a dispute (for its metadata)
+ */
+async function getDisputedPaymentIntent(dispute) {
+  let paymentIntentId = dispute.payment_intent;
+
+  if (!paymentIntentId && dispute.charge) {
+    const chargeId = typeof dispute.charge === "string" ? dispute.charge : dispute.charge.id;
+    const charge = await stripe.charges.retrieve(chargeId);
+    paymentIntentId = charge.payment_intent;
+  }
+
+  if (!paymentIntentId) {
+    return null;
+  }
+
+  if (typeof paymentIntentId !== "string") {
+    return paymentIntentId;
+  }
+
+  return stripe.paymentIntents.retrieve(paymentIntentId);
+}
+
+/**
+ * Move the order into (or out of) the disputed state
+ */
+async function updateOrderForDispute(orderId, dispute, isOpen) {
+  const orderRef = db.collection("orders").doc(orderId);
+
+  await db.runTransaction(async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+
+    if (!orderSnap.exists) {
+      console.error("❌ Order not found for dispute:", orderId);
+      return;
+    }
+
+    const order = orderSnap.data();
+    const update = {
+      disputeId: dispute.id,
+      disputeStatus: dispute.status,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    if (isOpen && order.paymentStatus !== "disputed") {
+      update.paymentStatusBeforeDispute = order.paymentStatus;
+      update.paymentStatus = "disputed";
+      update.disputedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    if (!isOpen && order.paymentStatus === "disputed") {
+      update.paymentStatus = dispute.status === "lost"
+        ? "dispute_lost"
+        : order.paymentStatusBeforeDispute || "paid";
+      update.disputeClosedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    transaction.update(orderRef, update);
+  });
+}
+
+/**
+ * Freeze, release or take back wallet credit that came from a disputed top-up
+ */
+async function updateWalletForDispute(userId, dispute, isOpen) {
+  const reference = disputeHoldReference(dispute.id);
+
+  if (isOpen) {
+    // Freeze what is still in the wallet; some may already be spent
+    const wallet = await placeHold(userId, reference, dispute.amount, {
+      allowPartial: true,
+      description: `Frozen while top-up is disputed (${dispute.id})`,
+      metadata: { disputeId: dispute.id }
+    });
+    const frozenAmount = wallet.holds[reference]?.amount || 0;
+
+    return { frozenAmount, walletShortfall: dispute.amount - frozenAmount };
+  }
+
+  if (dispute.status === "lost") {
+    await captureHold(userId, reference, {
+      description: `Disputed top-up lost (${dispute.id})`,
+      metadata: { disputeId: dispute.id }
+    });
+  } else {
+    await releaseHold(userId, reference, {
+      description: `Dispute closed: ${dispute.status} (${dispute.id})`,
+      metadata: { disputeId: dispute.id }
+    });
+  }
+
+  return {};
+}
+
+/**
+ * Record a charge.dispute.* event against the order or top-up it disputes.
+ * `eventCreated` is the event's Stripe timestamp (seconds); Stripe doesn't
+ * deliver events in order, so one older than the last applied is ignored,
+ * as is an open event for a dispute already recorded as closed.
+ */
+async function recordDispute(dispute, eventType, eventCreated = null) {
+  const disputeRef = db.collection("disputes").doc(dispute.id);
+  const existing = await disputeRef.get();
+  const isOpen = OPEN_DISPUTE_STATUSES.includes(dispute.status);
+
+  if (existing.exists) {
+    const stored = existing.data();
+    const isStale = eventCreated != null && stored.lastEventCreated != null &&
+      eventCreated < stored.lastEventCreated;
+
+    if (isStale || (isOpen && stored.isOpen === false)) {
+      console.log(`ℹ️ Dispute ${dispute.id}: ignoring out-of-order ${eventType} (${dispute.status}), already ${stored.status}`);
+      return stored;
+    }
+  }
+
+  const paymentIntent = await getDisputedPaymentIntent(dispute);
+  const metadata = paymentIntent?.metadata || {};
+
+  const record = {
+    stripeDisputeId: dispute.id,
+    stripeChargeId: typeof dispute.charge === "string" ? dispute.charge : dispute.charge?.id || null,
+    stripePaymentIntentId: paymentIntent?.id || null,
+    orderId: metadata.orderId || null,
+    userId: metadata.userId || null,
+    paymentType: metadata.type || (metadata.orderId ? "order" : null),
+    amount: dispute.amount,
+    currency: dispute.currency,
+    reason: dispute.reason,
+    status: dispute.status,
+    isOpen,
+    evidenceDueBy: dispute.evidence_details?.due_by
+      ? admin.firestore.Timestamp.fromMillis(dispute.evidence_details.due_by * 1000)
+      : null,
+    hasEvidence: !!dispute.evidence_details?.has_evidence,
+    lastEventType: eventType,
+    ...(eventCreated != null ? { lastEventCreated: eventCreated } : {}),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  if (!existing.exists) {
+    record.createdAt = admin.firestore.FieldValue.serverTimestamp();
+  }
+
+  if (!isOpen) {
+    record.closedAt = admin.firestore.FieldValue.serverTimestamp();
+  }
+
+  if (record.orderId) {
+    await updateOrderForDispute(record.orderId, dispute, isOpen);
+  }
+
+  if (record.paymentType === "wallet_top_up" && record.userId) {
+    const alreadyFrozen = existing.exists && existing.data().walletFrozen;
+
+    if (!isOpen || !alreadyFrozen) {
+      const walletResult = await updateWalletForDispute(record.userId, dispute, isOpen);
+      Object.assign(record, walletResult, { walletFrozen: isOpen });
+    }
+  }
+
+  await disputeRef.set(record, { merge: true });
+
+  console.log(`⚠️ Dispute ${dispute.id} recorded (${dispute.status}):`, {
+    orderId: record.orderId,
+    paymentType: record.paymentType,
+    amount: dispute.amount
+  });
+
+  return record;
+}
+
+/**
+ * Open disputes, soonest evidence deadline first
+ */
+async function listOpenDisputes() {
+  const snapshot = await db.collection("disputes")
+    .where("isOpen", "==", true)
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => {
+      const aDue = a.evidenceDueBy ? a.evidenceDueBy.toMillis() : Infinity;
+      const bDue = b.evidenceDueBy ? b.evidenceDueBy.toMillis() : Infinity;
+      return aDue - bDue;
+    })
+    .map(dispute => ({
+      ...dispute,
+      evidenceDueBy: dispute.evidenceDueBy ? dispute.evidenceDueBy.toDate().toISOString() : null
+    }));
+}
+
+module.exports = {
+  recordDispute,
+  listOpenDisputes
+};
@@ -0,0 +1,169 @@
+/**
+ * Email templates
+ *
+ * Each template turns a notification's data into a subject, a heading,
+ * paragraphs and optional table rows; renderEmail builds the plain-text
+ * and HTML bodies from that, so both always say the same thing.
+ */
+
+function formatPence(amount) {
+  return `£${((amount || 0) / 100).toFixed(2)}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Receipt rows for an order: one per line item, then the totals
+ */
+function receiptRows(data) {
+  const rows = (data.items || []).map(item => [
+    `${item.quantity} × ${item.name || item.menuItemId}`,
+    formatPence(item.lineTotal)
+  ]);
+
+  rows.push(["Subtotal", formatPence(data.subtotal)]);
+  if (data.deliveryFee > 0) {
+    rows.push(["Delivery", formatPence(data.deliveryFee)]);
+  }
+  if (data.discount > 0) {
+    rows.push(["Discount", `-${formatPence(data.discount)}`]);
+  }
+  if (data.walletAmount > 0) {
+    rows.push(["Paid from wallet", formatPence(data.walletAmount)]);
+  }
+  rows.push(["Total", formatPence(data.total)]);
+
+  return rows;
+}
+
+const TEMPLATES = {
+  order_confirmed: data => ({
+    subject: `Your Ada's Kitchen order is confirmed (${data.orderId})`,
+    heading: "Thanks for your order!",
+    paragraphs: [
+      data.paymentStatus === "authorized"
+        ? `We've authorized your card for order ${data.orderId}. We'll take the payment once the kitchen has made it.`
+        : `We've received payment for order ${data.orderId} and the kitchen has it.`,
+      data.deliveryMethod === "delivery"
+        ? "We'll let you know when it's on its way."
+        : "We'll let you know when it's ready to collect."
+    ],
+    rows: receiptRows(data)
+  }),
+
+  payment_failed: data => ({
+    subject: `Payment for order ${data.orderId} didn't go through`,
+    heading: "Your payment didn't go through",
+    paragraphs: [
+      `We couldn't take payment of ${formatPence(data.amount)} for order ${data.orderId}.`,
+      data.paymentError ? `Your bank said: ${data.paymentError}` : null,
+      data.retryUrl ? `You can try again here: ${data.retryUrl}` : null
+    ],
+    action: data.retryUrl ? { label: "Retry payment", url: data.retryUrl } : null
+  }),
+
+  wallet_top_up: data => ({
+    subject: `${formatPence(data.amount)} added to your wallet`,
+    heading: "Wallet topped up",
+    paragraphs: [
+      `${formatPence(data.amount)} has been added to your Ada's Kitchen wallet.`,
+      data.balance != null ? `Your balance is now ${formatPence(data.balance)}.` : null
+    ]
+  }),
+
+  refund_issued: data => ({
+    subject: `Refund for order ${data.orderId}`,
+    heading: "Your refund is on its way",
+    paragraphs: [
+      `We've refunded ${formatPence(data.amount)} for order ${data.orderId}.`,
+      data.walletAmount > 0
+        ? `${formatPence(data.walletAmount)} is back in your wallet now.`
+        : null,
+      data.cardAmount > 0
+        ? `${formatPence(data.cardAmount)} will reach your card in 5-10 working days.`
+        : null,
+      data.reason ? `Reason: ${data.reason}` : null
+    ]
+  }),
+
+  card_saved: data => ({
+    subject: "A new card was saved to your account",
+    heading: "Card saved",
+    paragraphs: [
+      `Your ${data.brand || "card"} ending ${data.last4} is now saved for faster checkout.`,
+      "If this wasn't you, remove the card and get in touch."
+    ]
+  }),
+
+  card_expiring: data => ({
+    subject: `Your ${data.brand || "card"} ending ${data.last4} expires soon`,
+    heading: "Your saved card is about to expire",
+    paragraphs: [
+      `Your ${data.brand || "card"} ending ${data.last4} expires at the end of ${String(data.expMonth).padStart(2, "0")}/${data.expYear}.`,
+      "Add a new card before then so your orders and meal plans aren't interrupted."
+    ]
+  })
+};
+
+/**
+ * Render a notification into { subject, text, html }.
+ * Throws for a notification type with no template.
+ */
+function renderEmail(type, data = {}, { name = null } = {}) {
+  const template = TEMPLATES[type];
+
+  if (!template) {
+    throw new Error(`No email template for notification type: ${type}`);
+  }
+
+  const content = template(data);
+  const paragraphs = content.paragraphs.filter(Boolean);
+  const greeting = name ? `Hi ${name},` : "Hi,";
+
+  const text = [
+    greeting,
+    "",
+    ...paragraphs.flatMap(paragraph => [paragraph, ""]),
+    ...(content.rows || []).map(([label, value]) => `${label}: ${value}`),
+    content.rows ? "" : null,
+    "Ada's Kitchen"
+  ].filter(line => line !== null).join("\n");
+
+  const rowsHtml = content.rows
+    ? `<table style="width:100%;border-collapse:collapse;margin:16px 0">${content.rows
+      .map(([label, value]) => `<tr><td style="padding:4px 0">${escapeHtml(label)}</td><td style="padding:4px 0;text-align:right">${escapeHtml(value)}</td></tr>`)
+      .join("")}</table>`
+    : "";
+
+  const actionHtml = content.action
+    ? `<p><a href="${escapeHtml(content.action.url)}" style="display:inline-block;padding:10px 16px;background:#b23a1e;color:#fff;text-decoration:none;border-radius:4px">${escapeHtml(content.action.label)}</a></p>`
+    : "";
+
+  const html = `<!doctype html>
+<html>
+  <body style="font-family:Arial,sans-serif;color:#222;max-width:560px;margin:0 auto;padding:24px">
+    <h2>${escapeHtml(content.heading)}</h2>
+    <p>${escapeHtml(greeting)}</p>
+    ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join("\n    ")}
+    ${rowsHtml}
+    ${actionHtml}
+    <p style="color:#777;font-size:12px">Ada's Kitchen</p>
+  </body>
+</html>`;
+
+  return { subject: content.subject, text, html };
+}
+
+module.exports = {
+  TEMPLATE_TYPES: Object.keys(TEMPLATES),
+  formatPence,
+  escapeHtml,
+  renderEmail
+};
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+/**
+ * Email transports
+ *
+ * Picked with EMAIL_TRANSPORT:
+ *   smtp    - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   resend  - the Resend HTTP API, RESEND_API_KEY
+ *   file    - writes each email as JSON to EMAIL_FILE_DIR (local dev, tests)
+ *   console - logs each email (the default)
+ *
+ * Every transport has send({ from, to, subject, text, html, id }) resolving
+ * to { messageId }.
+ */
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: "smtp",
+    send: async ({ from, to, subject, text, html, id }) => {
+      const info = await transporter.sendMail({
+        from,
+        to,
+        subject,
+        text,
+        html,
+        headers: { "X-Entity-Ref-ID": id }
+      });
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+function createResendTransport() {
+  return {
+    name: "resend",
+    send: async ({ from, to, subject, text, html, id }) => {
+      const response = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+          "Content-Type": "application/json",
+          // Resend drops a repeat of the same key, so a retry can't double-send
+          "Idempotency-Key": id
+        },
+        body: JSON.stringify({ from, to: [to], subject, text, html })
+      });
+
+      if (!response.ok) {
+        throw new Error(`Resend API error ${response.status}: ${await response.text()}`);
+      }
+
+      const body = await response.json();
+      return { messageId: body.id };
+    }
+  };
+}
+
+function createFileTransport() {
+  const directory = process.env.EMAIL_FILE_DIR || path.join(os.tmpdir(), "adaskitchen-emails");
+
+  return {
+    name: "file",
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const file = path.join(directory, `${Date.now()}_${message.id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+      return { messageId: file };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: "console",
+    send: async ({ to, subject, text, id }) => {
+      console.log(`📧 Email ${id} to ${to}: ${subject}\n${text}`);
+      return { messageId: id };
+    }
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  resend: createResendTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+/**
+ * The transport configured by EMAIL_TRANSPORT, created once
+ */
+function getEmailTransport() {
+  if (!transport) {
+    const name = process.env.EMAIL_TRANSPORT || "console";
+    const create = TRANSPORTS[name];
+
+    if (!create) {
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+    }
+
+    transport = create();
+  }
+
+  return transport;
+}
+
+module.exports = {
+  getEmailTransport
+};
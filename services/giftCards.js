@@ -0,0 +1,215 @@
+const crypto = require("crypto");
+const Stripe = require("stripe");
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { runLedgerTransaction } = require("./wallet");
+const { getOrCreateCustomer } = require("./customers");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+const MIN_GIFT_CARD_AMOUNT = 500;
+const MAX_GIFT_CARD_AMOUNT = 50000;
+
+// No 0/O or 1/I so codes can be read out and typed without mistakes
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Random code like ADA-7KQ2-M9XP-4TRB
+ */
+function generateGiftCardCode() {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+
+  return `ADA-${chars.slice(0, 4).join("")}-${chars.slice(4, 8).join("")}-${chars.slice(8, 12).join("")}`;
+}
+
+function normalizeGiftCardCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+/**
+ * Start a gift card purchase: a PaymentIntent with metadata.type "gift_card".
+ * The code is only issued by the webhook once the payment succeeds.
+ */
+async function createGiftCardPurchase(user, { amount, recipientEmail = null, message = null, paymentMethodId = null }) {
+  if (!Number.isInteger(amount) || amount < MIN_GIFT_CARD_AMOUNT || amount > MAX_GIFT_CARD_AMOUNT) {
+    throw new HttpError(
+      400,
+      `Gift card amount must be between £${MIN_GIFT_CARD_AMOUNT / 100} and £${MAX_GIFT_CARD_AMOUNT / 100}`
+    );
+  }
+
+  const customerId = await getOrCreateCustomer(user.uid, user.email);
+  const purchaseRef = db.collection("giftCardPurchases").doc();
+
+  const paymentIntentParams = {
+    amount,
+    currency: "gbp",
+    customer: customerId,
+    metadata: {
+      type: "gift_card",
+      userId: user.uid,
+      purchaseId: purchaseRef.id
+    },
+    automatic_payment_methods: {
+      enabled: true,
+      allow_redirects: "never"
+    }
+  };
+
+  if (paymentMethodId) {
+    const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+    if (paymentMethod.customer !== customerId) {
+      throw new HttpError(403, "Payment method does not belong to this user");
+    }
+    paymentIntentParams.payment_method = paymentMethodId;
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create(paymentIntentParams, {
+    idempotencyKey: `gift_card_${purchaseRef.id}`
+  });
+
+  await purchaseRef.set({
+    purchaserId: user.uid,
+    amount,
+    recipientEmail,
+    message,
+    status: "pending_payment",
+    code: null,
+    stripePaymentIntentId: paymentIntent.id,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return {
+    purchaseId: purchaseRef.id,
+    clientSecret: paymentIntent.client_secret,
+    paymentIntentId: paymentIntent.id,
+    status: paymentIntent.status
+  };
+}
+
+/**
+ * Issue the gift card code for a paid purchase, once per purchase
+ */
+async function issueGiftCard(purchaseId, paymentIntent) {
+  const purchaseRef = db.collection("giftCardPurchases").doc(purchaseId);
+
+  return db.runTransaction(async (transaction) => {
+    const purchaseSnap = await transaction.get(purchaseRef);
+
+    if (!purchaseSnap.exists) {
+      throw new Error(`Gift card purchase not found: ${purchaseId}`);
+    }
+
+    const purchase = purchaseSnap.data();
+    if (purchase.code) {
+      return { code: purchase.code, issued: false };
+    }
+
+    // Codes are document ids, so make sure this one is free
+    let code;
+    let codeSnap;
+    do {
+      code = generateGiftCardCode();
+      codeSnap = await transaction.get(db.collection("giftCards").doc(code));
+    } while (codeSnap.exists);
+
+    transaction.set(db.collection("giftCards").doc(code), {
+      amount: paymentIntent.amount_received || purchase.amount,
+      currency: "GBP",
+      purchaseId,
+      purchaserId: purchase.purchaserId,
+      recipientEmail: purchase.recipientEmail,
+      message: purchase.message,
+      status: "active",
+      redeemedBy: null,
+      redeemedAt: null,
+      stripePaymentIntentId: paymentIntent.id,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    transaction.update(purchaseRef, {
+      status: "issued",
+      code,
+      stripeChargeId: paymentIntent.latest_charge || null,
+      issuedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { code, issued: true };
+  });
+}
+
+/**
+ * Credit a gift card to the user's wallet. The wallet credit and marking
+ * the card redeemed happen in one transaction, so a code pays out once.
+ */
+async function redeemGiftCard(userId, rawCode) {
+  const code = normalizeGiftCardCode(rawCode);
+
+  if (!code) {
+    throw new HttpError(400, "Missing gift card code");
+  }
+
+  const giftCardRef = db.collection("giftCards").doc(code);
+
+  const wallet = await runLedgerTransaction(userId, {
+    entryId: `giftcard_${code}`,
+    read: async (transaction) => transaction.get(giftCardRef),
+    apply: (counters, userData, giftCardSnap) => {
+      if (!giftCardSnap.exists) {
+        throw new HttpError(404, "Gift card not found");
+      }
+
+      const giftCard = giftCardSnap.data();
+      if (giftCard.status !== "active") {
+        throw new HttpError(409, "Gift card has already been redeemed");
+      }
+
+      return {
+        entries: [{
+          type: "gift_card",
+          amount: giftCard.amount,
+          balanceDelta: giftCard.amount,
+          heldDelta: 0,
+          reference: code,
+          description: "Gift card redeemed",
+          metadata: { purchaseId: giftCard.purchaseId }
+        }],
+        balance: counters.balance + giftCard.amount,
+        held: counters.held,
+        holds: counters.holds
+      };
+    },
+    write: (transaction) => {
+      transaction.update(giftCardRef, {
+        status: "redeemed",
+        redeemedBy: userId,
+        redeemedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+  });
+
+  return { amount: wallet.entry.amount, walletBalance: wallet.balance };
+}
+
+/**
+ * Gift cards a user has bought, newest first
+ */
+async function listGiftCardPurchases(userId) {
+  const snapshot = await db.collection("giftCardPurchases")
+    .where("purchaserId", "==", userId)
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+}
+
+module.exports = {
+  createGiftCardPurchase,
+  issueGiftCard,
+  redeemGiftCard,
+  listGiftCardPurchases
+};
@@ -0,0 +1,123 @@
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { transitionOrder } = require("./orders");
+const { LIVE_ORDER_STATUSES } = require("./orderEvents");
+
+/**
+ * Kitchen dashboard
+ *
+ * The live queue, status changes made in bulk from the pass, and prep-time
+ * estimates. Orders are due at their scheduled time if they have one, else
+ * at their estimated ready time, else as soon as possible (in the order
+ * they were placed).
+ */
+
+// Statuses the kitchen may move orders to; cancelling is for admins
+const KITCHEN_STATUSES = ["preparing", "ready", "out_for_delivery", "collected", "completed"];
+
+const MAX_BULK_ORDERS = 50;
+const MAX_PREP_MINUTES = 24 * 60;
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  return new Date(value).getTime();
+}
+
+/**
+ * When an order is due out of the kitchen
+ */
+function orderDueAt(order) {
+  return toMillis(order.scheduledFor) ??
+    toMillis(order.estimatedReadyAt) ??
+    toMillis(order.statusTimestamps?.confirmed) ??
+    toMillis(order.createdAt) ??
+    0;
+}
+
+/**
+ * Live orders, soonest due first
+ */
+async function getKitchenQueue() {
+  const snapshot = await db.collection("orders")
+    .where("orderStatus", "in", LIVE_ORDER_STATUSES)
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .map(order => ({ ...order, dueAt: new Date(orderDueAt(order)).toISOString() }))
+    .sort((a, b) => orderDueAt(a) - orderDueAt(b));
+}
+
+/**
+ * Move several orders to the same status. Each order is moved on its own,
+ * so one that can't move doesn't hold up the rest.
+ */
+async function bulkTransitionOrders(orderIds, status, { actor, reason = null } = {}) {
+  if (!Array.isArray(orderIds) || orderIds.length === 0) {
+    throw new HttpError(400, "orderIds must be a non-empty array");
+  }
+
+  if (orderIds.length > MAX_BULK_ORDERS) {
+    throw new HttpError(400, `At most ${MAX_BULK_ORDERS} orders at a time`);
+  }
+
+  if (!KITCHEN_STATUSES.includes(status)) {
+    throw new HttpError(400, `status must be one of: ${KITCHEN_STATUSES.join(", ")}`);
+  }
+
+  const results = [];
+
+  for (const orderId of [...new Set(orderIds)]) {
+    try {
+      const result = await transitionOrder(orderId, status, { actor, reason });
+      results.push({ orderId, success: true, from: result.from, to: result.to });
+    } catch (error) {
+      results.push({ orderId, success: false, status: error.status || 500, error: error.message });
+    }
+  }
+
+  return {
+    updated: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length,
+    results
+  };
+}
+
+/**
+ * Set how long an order will take, from now
+ */
+async function setPrepEstimate(orderId, prepMinutes, { actor } = {}) {
+  if (!Number.isInteger(prepMinutes) || prepMinutes < 0 || prepMinutes > MAX_PREP_MINUTES) {
+    throw new HttpError(400, `prepMinutes must be a whole number from 0 to ${MAX_PREP_MINUTES}`);
+  }
+
+  const orderRef = db.collection("orders").doc(orderId);
+  const orderDoc = await orderRef.get();
+
+  if (!orderDoc.exists) {
+    throw new HttpError(404, "Order not found");
+  }
+
+  if (!LIVE_ORDER_STATUSES.includes(orderDoc.data().orderStatus)) {
+    throw new HttpError(409, `Order is ${orderDoc.data().orderStatus}, not in the kitchen`);
+  }
+
+  const estimatedReadyAt = admin.firestore.Timestamp.fromMillis(Date.now() + prepMinutes * 60 * 1000);
+
+  await orderRef.update({
+    prepMinutes,
+    estimatedReadyAt,
+    estimatedBy: actor || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { orderId, prepMinutes, estimatedReadyAt: estimatedReadyAt.toDate().toISOString() };
+}
+
+module.exports = {
+  KITCHEN_STATUSES,
+  getKitchenQueue,
+  bulkTransitionOrders,
+  setPrepEstimate
+};
@@ -0,0 +1,233 @@
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { toUkTime } = require("../utils/ukTime");
+const { runLedgerTransaction } = require("./wallet");
+
+/**
+ * Loyalty points
+ *
+ * The balance is cached as loyaltyPoints on the user document and every
+ * change is an entry in users/{id}/loyaltyLedger, written in the same
+ * transaction. Earn and conversion rules live in settings/loyalty.
+ */
+
+// Used when settings/loyalty has not been created yet
+const DEFAULT_LOYALTY_SETTINGS = {
+  enabled: true,
+  pointsPerPound: 1,
+  multipliers: [], // [{ days: ["Tue"], multiplier: 2 }] in UK time
+  pencePerPoint: 1,
+  minRedeemPoints: 500
+};
+
+async function getLoyaltySettings() {
+  const settingsDoc = await db.collection("settings").doc("loyalty").get();
+
+  return {
+    ...DEFAULT_LOYALTY_SETTINGS,
+    ...(settingsDoc.exists ? settingsDoc.data() : {})
+  };
+}
+
+function loyaltyLedger(userId) {
+  return db.collection("users").doc(userId).collection("loyaltyLedger");
+}
+
+/**
+ * Points earned for spending `amount` pence at `date`
+ */
+function calculatePoints(amount, settings, date = new Date()) {
+  const { day } = toUkTime(date);
+  const multiplier = (settings.multipliers || [])
+    .filter(rule => (rule.days || []).includes(day))
+    .reduce((best, rule) => Math.max(best, rule.multiplier || 1), 1);
+
+  return Math.floor((amount / 100) * settings.pointsPerPound * multiplier);
+}
+
+/**
+ * Credit points for a paid order, once per order
+ */
+async function awardOrderPoints(orderId) {
+  const settings = await getLoyaltySettings();
+  if (!settings.enabled) {
+    return 0;
+  }
+
+  const orderRef = db.collection("orders").doc(orderId);
+
+  return db.runTransaction(async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+    if (!orderSnap.exists) {
+      return 0;
+    }
+
+    const order = orderSnap.data();
+    if (order.loyaltyPointsEarned != null || !order.userId) {
+      return 0;
+    }
+
+    const spent = order.totalAmount ?? order.pricing?.total ?? 0;
+    const points = calculatePoints(spent, settings);
+    const userRef = db.collection("users").doc(order.userId);
+
+    transaction.update(orderRef, {
+      loyaltyPointsEarned: points,
+      loyaltyPointsReversed: 0
+    });
+
+    if (points > 0) {
+      transaction.set(loyaltyLedger(order.userId).doc(`earn_${orderId}`), {
+        type: "earn",
+        points,
+        orderId,
+        description: `Points for order ${orderId}`,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      transaction.set(userRef, {
+        loyaltyPoints: admin.firestore.FieldValue.increment(points),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+    }
+
+    return points;
+  });
+}
+
+/**
+ * Bring the points reversed for an order in line with how much of it has
+ * been refunded. Points from a fully refunded order are fully reversed;
+ * a refund that later fails gives its points back.
+ */
+async function syncOrderPointsWithRefunds(orderId) {
+  const orderRef = db.collection("orders").doc(orderId);
+
+  return db.runTransaction(async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+    if (!orderSnap.exists) {
+      return 0;
+    }
+
+    const order = orderSnap.data();
+    const earned = order.loyaltyPointsEarned || 0;
+    const total = order.totalAmount ?? order.pricing?.total ?? 0;
+
+    if (earned <= 0 || total <= 0) {
+      return 0;
+    }
+
+    const refunded = Math.min(order.refundedAmount || 0, total);
+    const target = Math.floor(earned * refunded / total);
+    const delta = target - (order.loyaltyPointsReversed || 0);
+
+    if (delta === 0) {
+      return 0;
+    }
+
+    transaction.update(orderRef, { loyaltyPointsReversed: target });
+    transaction.set(loyaltyLedger(order.userId).doc(), {
+      type: delta > 0 ? "refund_reversal" : "refund_restore",
+      points: -delta,
+      orderId,
+      description: `Points adjusted for refund on order ${orderId}`,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(db.collection("users").doc(order.userId), {
+      loyaltyPoints: admin.firestore.FieldValue.increment(-delta),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return -delta;
+  });
+}
+
+/**
+ * Convert points into wallet credit. The points debit and the wallet
+ * credit are written in the same transaction.
+ */
+async function redeemPointsToWallet(userId, points) {
+  const settings = await getLoyaltySettings();
+
+  if (!Number.isInteger(points) || points <= 0) {
+    throw new HttpError(400, "Invalid number of points");
+  }
+
+  if (points < settings.minRedeemPoints) {
+    throw new HttpError(400, `At least ${settings.minRedeemPoints} points are needed to redeem`);
+  }
+
+  const amount = points * settings.pencePerPoint;
+  const redemptionRef = loyaltyLedger(userId).doc();
+
+  const wallet = await runLedgerTransaction(userId, {
+    apply: (counters, userData) => {
+      if ((userData.loyaltyPoints || 0) < points) {
+        throw new HttpError(400, "Not enough loyalty points");
+      }
+
+      return {
+        entries: [{
+          type: "loyalty_redemption",
+          amount,
+          balanceDelta: amount,
+          heldDelta: 0,
+          reference: redemptionRef.id,
+          description: `${points} loyalty points converted`,
+          metadata: { points }
+        }],
+        balance: counters.balance + amount,
+        held: counters.held,
+        holds: counters.holds
+      };
+    },
+    write: (transaction) => {
+      transaction.set(redemptionRef, {
+        type: "redeem",
+        points: -points,
+        walletAmount: amount,
+        description: "Converted to wallet credit",
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return {
+        loyaltyPoints: admin.firestore.FieldValue.increment(-points)
+      };
+    }
+  });
+
+  return { pointsRedeemed: points, walletCredit: amount, walletBalance: wallet.balance };
+}
+
+/**
+ * Points balance, conversion rules and recent history
+ */
+async function getLoyaltySummary(userId, { limit = 50 } = {}) {
+  const [userDoc, settings, history] = await Promise.all([
+    db.collection("users").doc(userId).get(),
+    getLoyaltySettings(),
+    loyaltyLedger(userId).orderBy("createdAt", "desc").limit(limit).get()
+  ]);
+
+  if (!userDoc.exists) {
+    throw new HttpError(404, "User not found");
+  }
+
+  const points = userDoc.data().loyaltyPoints || 0;
+
+  return {
+    points,
+    walletValue: Math.max(points, 0) * settings.pencePerPoint,
+    pencePerPoint: settings.pencePerPoint,
+    minRedeemPoints: settings.minRedeemPoints,
+    pointsPerPound: settings.pointsPerPound,
+    multipliers: settings.multipliers,
+    history: history.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+  };
+}
+
+module.exports = {
+  awardOrderPoints,
+  syncOrderPointsWithRefunds,
+  redeemPointsToWallet,
+  getLoyaltySummary
+};
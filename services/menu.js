@@ -0,0 +1,397 @@
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { DAY_NAMES, toUkTime } = require("../utils/ukTime");
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// UK VAT rates (percent) a menu item can be sold at: standard, reduced, zero
+const VAT_RATES = [20, 5, 0];
+
+/**
+ * Menu resources managed through /api/menu, with the Firestore collection
+ * each one lives in and the validator for its writable fields
+ */
+const MENU_RESOURCES = {
+  categories: {
+    collection: "menuCategories",
+    label: "Category",
+    validate: validateCategory
+  },
+  items: {
+    collection: "menuItems",
+    label: "Menu item",
+    validate: validateItem
+  },
+  "modifier-groups": {
+    collection: "menuModifierGroups",
+    label: "Modifier group",
+    validate: validateModifierGroup
+  },
+  allergens: {
+    collection: "menuAllergens",
+    label: "Allergen",
+    validate: validateNamed
+  },
+  "dietary-tags": {
+    collection: "menuDietaryTags",
+    label: "Dietary tag",
+    validate: validateNamed
+  }
+};
+
+// =========================
+// VALIDATION
+// =========================
+
+function pick(data, fields) {
+  return fields.reduce((result, field) => {
+    if (data[field] !== undefined) {
+      result[field] = data[field];
+    }
+    return result;
+  }, {});
+}
+
+function requireName(data, partial) {
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== "string" || !data.name.trim()) {
+      throw new HttpError(400, "Name is required");
+    }
+  }
+}
+
+function assertPence(value, field) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new HttpError(400, `${field} must be a whole number of pence`);
+  }
+}
+
+function assertIdList(value, field) {
+  if (!Array.isArray(value) || !value.every(id => typeof id === "string")) {
+    throw new HttpError(400, `${field} must be a list of ids`);
+  }
+}
+
+function validateNamed(data, { partial = false } = {}) {
+  requireName(data, partial);
+  return pick(data, ["name", "description", "icon"]);
+}
+
+function validateCategory(data, { partial = false } = {}) {
+  requireName(data, partial);
+
+  if (data.sortOrder !== undefined && !Number.isInteger(data.sortOrder)) {
+    throw new HttpError(400, "sortOrder must be a whole number");
+  }
+
+  return pick(data, ["name", "description", "sortOrder", "active", "imageUrl"]);
+}
+
+/**
+ * Availability windows: [{ days: ["Mon", ...], start: "HH:MM", end: "HH:MM" }]
+ * in UK time. An item with no windows is available whenever it is not sold out.
+ */
+function validateAvailability(windows) {
+  if (!Array.isArray(windows)) {
+    throw new HttpError(400, "availability must be a list of windows");
+  }
+
+  windows.forEach((window) => {
+    if (!Array.isArray(window.days) || !window.days.every(day => DAY_NAMES.includes(day))) {
+      throw new HttpError(400, `availability days must be from ${DAY_NAMES.join(", ")}`);
+    }
+
+    if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      throw new HttpError(400, "availability start and end must be HH:MM");
+    }
+  });
+}
+
+function validateItem(data, { partial = false } = {}) {
+  requireName(data, partial);
+
+  if (!partial || data.price !== undefined) {
+    assertPence(data.price, "price");
+  }
+
+  if (!partial || data.categoryId !== undefined) {
+    if (typeof data.categoryId !== "string" || !data.categoryId) {
+      throw new HttpError(400, "categoryId is required");
+    }
+  }
+
+  ["modifierGroupIds", "allergenIds", "dietaryTagIds"].forEach((field) => {
+    if (data[field] !== undefined) {
+      assertIdList(data[field], field);
+    }
+  });
+
+  if (data.availability !== undefined) {
+    validateAvailability(data.availability);
+  }
+
+  // Hot food is standard-rated; cold takeaway food is often zero-rated
+  if (data.vatRate !== undefined && data.vatRate !== null && !VAT_RATES.includes(data.vatRate)) {
+    throw new HttpError(400, `vatRate must be one of ${VAT_RATES.join(", ")}`);
+  }
+
+  return pick(data, [
+    "name",
+    "description",
+    "price",
+    "categoryId",
+    "imageUrl",
+    "modifierGroupIds",
+    "allergenIds",
+    "dietaryTagIds",
+    "availability",
+    "available",
+    "soldOut",
+    "sortOrder",
+    "vatRate"
+  ]);
+}
+
+function validateModifierGroup(data, { partial = false } = {}) {
+  requireName(data, partial);
+
+  if (!partial || data.options !== undefined) {
+    if (!Array.isArray(data.options) || data.options.length === 0) {
+      throw new HttpError(400, "options must be a non-empty list");
+    }
+
+    const ids = new Set();
+    data.options.forEach((option) => {
+      if (typeof option.id !== "string" || !option.id || ids.has(option.id)) {
+        throw new HttpError(400, "Each option needs a unique id");
+      }
+      ids.add(option.id);
+
+      if (typeof option.name !== "string" || !option.name.trim()) {
+        throw new HttpError(400, "Each option needs a name");
+      }
+      assertPence(option.price || 0, "Option price");
+    });
+  }
+
+  const minSelections = data.minSelections ?? 0;
+  const maxSelections = data.maxSelections ?? null;
+
+  if (!Number.isInteger(minSelections) || minSelections < 0) {
+    throw new HttpError(400, "minSelections must be a whole number");
+  }
+
+  if (maxSelections !== null && (!Number.isInteger(maxSelections) || maxSelections < minSelections)) {
+    throw new HttpError(400, "maxSelections must be at least minSelections");
+  }
+
+  return pick(data, ["name", "description", "options", "minSelections", "maxSelections"]);
+}
+
+// =========================
+// AVAILABILITY
+// =========================
+
+/**
+ * Whether a menu item can be ordered at `date`
+ */
+function isItemAvailable(menuItem, date = new Date()) {
+  if (menuItem.available === false || menuItem.soldOut === true) {
+    return false;
+  }
+
+  const windows = menuItem.availability || [];
+  if (windows.length === 0) {
+    return true;
+  }
+
+  const { day, time } = toUkTime(date);
+  return windows.some(window =>
+    window.days.includes(day) && time >= window.start && time < window.end
+  );
+}
+
+// =========================
+// MODIFIER PRICING
+// =========================
+
+/**
+ * Validate the modifiers chosen for an item and price them.
+ * `selected` is [{ groupId, optionId }]; returns the priced selections.
+ */
+function priceModifiers(menuItem, selected = [], groupsById) {
+  if (!Array.isArray(selected)) {
+    throw new HttpError(400, `Invalid modifiers for ${menuItem.name}`);
+  }
+
+  const allowedGroupIds = menuItem.modifierGroupIds || [];
+  const counts = {};
+
+  const priced = selected.map(({ groupId, optionId }) => {
+    const group = groupsById[groupId];
+
+    if (!allowedGroupIds.includes(groupId) || !group) {
+      throw new HttpError(400, `Modifier group not available for ${menuItem.name}: ${groupId}`);
+    }
+
+    const option = (group.options || []).find(candidate => candidate.id === optionId);
+    if (!option || option.available === false) {
+      throw new HttpError(400, `Modifier option not available: ${optionId}`);
+    }
+
+    counts[groupId] = (counts[groupId] || 0) + 1;
+
+    return {
+      groupId,
+      optionId,
+      name: option.name,
+      price: option.price || 0
+    };
+  });
+
+  allowedGroupIds.forEach((groupId) => {
+    const group = groupsById[groupId];
+    if (!group) return;
+
+    const count = counts[groupId] || 0;
+    if (count < (group.minSelections || 0)) {
+      throw new HttpError(400, `Choose at least ${group.minSelections} from ${group.name}`);
+    }
+    if (group.maxSelections != null && count > group.maxSelections) {
+      throw new HttpError(400, `Choose at most ${group.maxSelections} from ${group.name}`);
+    }
+  });
+
+  return priced;
+}
+
+/**
+ * Load the modifier groups used by a set of menu items, keyed by id
+ */
+async function getModifierGroups(menuItems) {
+  const groupIds = [...new Set(menuItems.flatMap(item => item.modifierGroupIds || []))];
+
+  if (groupIds.length === 0) {
+    return {};
+  }
+
+  const groupDocs = await db.getAll(
+    ...groupIds.map(id => db.collection("menuModifierGroups").doc(id))
+  );
+
+  return groupDocs.reduce((groups, doc) => {
+    if (doc.exists) {
+      groups[doc.id] = doc.data();
+    }
+    return groups;
+  }, {});
+}
+
+// =========================
+// CRUD
+// =========================
+
+function getResource(resourceName) {
+  const resource = MENU_RESOURCES[resourceName];
+  if (!resource) {
+    throw new HttpError(404, "Unknown menu resource");
+  }
+  return resource;
+}
+
+async function listMenuDocs(resourceName) {
+  const { collection } = getResource(resourceName);
+  const snapshot = await db.collection(collection).get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0) || String(a.name).localeCompare(String(b.name)));
+}
+
+async function getMenuDoc(resourceName, id) {
+  const { collection, label } = getResource(resourceName);
+  const doc = await db.collection(collection).doc(id).get();
+
+  if (!doc.exists) {
+    throw new HttpError(404, `${label} not found`);
+  }
+
+  return { id: doc.id, ...doc.data() };
+}
+
+async function createMenuDoc(resourceName, data, { actor } = {}) {
+  const { collection, validate } = getResource(resourceName);
+  const fields = validate(data || {});
+  const ref = db.collection(collection).doc();
+
+  await ref.set({
+    ...fields,
+    createdBy: actor || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return getMenuDoc(resourceName, ref.id);
+}
+
+async function updateMenuDoc(resourceName, id, data, { actor } = {}) {
+  const { collection, validate } = getResource(resourceName);
+  const fields = validate(data || {}, { partial: true });
+
+  await getMenuDoc(resourceName, id);
+  await db.collection(collection).doc(id).update({
+    ...fields,
+    updatedBy: actor || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return getMenuDoc(resourceName, id);
+}
+
+async function deleteMenuDoc(resourceName, id) {
+  const { collection } = getResource(resourceName);
+
+  await getMenuDoc(resourceName, id);
+  await db.collection(collection).doc(id).delete();
+}
+
+/**
+ * The whole customer-facing menu: active categories with their items,
+ * plus the modifier groups, allergens and dietary tags they reference
+ */
+async function getFullMenu(date = new Date()) {
+  const [categories, items, modifierGroups, allergens, dietaryTags] = await Promise.all([
+    listMenuDocs("categories"),
+    listMenuDocs("items"),
+    listMenuDocs("modifier-groups"),
+    listMenuDocs("allergens"),
+    listMenuDocs("dietary-tags")
+  ]);
+
+  return {
+    categories: categories
+      .filter(category => category.active !== false)
+      .map(category => ({
+        ...category,
+        items: items
+          .filter(item => item.categoryId === category.id && item.available !== false)
+          .map(item => ({ ...item, availableNow: isItemAvailable(item, date) }))
+      })),
+    modifierGroups,
+    allergens,
+    dietaryTags
+  };
+}
+
+module.exports = {
+  MENU_RESOURCES,
+  isItemAvailable,
+  priceModifiers,
+  getModifierGroups,
+  listMenuDocs,
+  getMenuDoc,
+  createMenuDoc,
+  updateMenuDoc,
+  deleteMenuDoc,
+  getFullMenu
+};
@@ -0,0 +1,291 @@
+const { db, admin } = require("../config/firebase");
+const { renderEmail } = require("./emailTemplates");
+const { getEmailTransport } = require("./emailTransports");
+
+/**
+ * Notifications queue
+ *
+ * Every email is a document in the notifications collection before it is
+ * sent. The document id is the dedupe key, so queueing the same
+ * notification twice is a no-op. notify() queues and tries to send straight
+ * away; anything that fails is retried with backoff by
+ * processNotificationQueue (run from the cron routes).
+ */
+
+const MAX_ATTEMPTS = 5;
+// Minutes to wait after each failed attempt
+const RETRY_DELAYS = [1, 5, 30, 120];
+// A send that has been "sending" this long is assumed to have crashed
+const SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const EMAIL_FROM = process.env.EMAIL_FROM || "Ada's Kitchen <orders@adaskitchen.uk>";
+
+function notificationRef(dedupeKey = null) {
+  return dedupeKey
+    ? db.collection("notifications").doc(dedupeKey)
+    : db.collection("notifications").doc();
+}
+
+function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  return new Date(value).getTime();
+}
+
+async function enqueue(userId, type, data, { dedupeKey = null } = {}) {
+  const ref = notificationRef(dedupeKey);
+
+  try {
+    await ref.create({
+      userId,
+      type,
+      channel: "email",
+      data,
+      status: "queued",
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: admin.firestore.Timestamp.now(),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { id: ref.id, created: true };
+  } catch (error) {
+    // gRPC ALREADY_EXISTS
+    if (error.code === 6) {
+      return { id: ref.id, created: false };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Queue a notification for a user. Resolves to false when one with the
+ * same dedupeKey was already queued.
+ */
+async function queueNotification(userId, type, data = {}, { dedupeKey = null } = {}) {
+  const { created } = await enqueue(userId, type, data, { dedupeKey });
+  return created;
+}
+
+/**
+ * Take a notification that is due for sending, so concurrent runs don't
+ * send it twice. Resolves to its data, or null if it isn't due.
+ */
+async function claimNotification(ref) {
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(ref);
+    if (!snapshot.exists) {
+      return null;
+    }
+
+    const notification = snapshot.data();
+    const now = Date.now();
+    const due = ["queued", "retrying"].includes(notification.status) &&
+      toMillis(notification.nextAttemptAt) <= now;
+    const stale = notification.status === "sending" &&
+      now - toMillis(notification.lockedAt) > SENDING_TIMEOUT_MS;
+
+    if (!due && !stale) {
+      return null;
+    }
+
+    transaction.update(ref, {
+      status: "sending",
+      attempts: (notification.attempts || 0) + 1,
+      lockedAt: admin.firestore.Timestamp.now(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { ...notification, attempts: (notification.attempts || 0) + 1 };
+  });
+}
+
+/**
+ * Who the email goes to: data.email, else the user's profile, else Auth
+ */
+async function resolveRecipient(notification) {
+  if (notification.data?.email) {
+    return { email: notification.data.email, name: notification.data.name || null };
+  }
+
+  const userDoc = await db.collection("users").doc(notification.userId).get();
+  const user = userDoc.exists ? userDoc.data() : {};
+  const name = user.displayName || user.name || user.firstName || null;
+
+  if (user.email) {
+    return { email: user.email, name };
+  }
+
+  try {
+    const userRecord = await admin.auth().getUser(notification.userId);
+    return { email: userRecord.email || null, name: name || userRecord.displayName || null };
+  } catch (error) {
+    return { email: null, name };
+  }
+}
+
+/**
+ * Try to send one queued notification. Resolves to its new status, or
+ * null if it wasn't due.
+ */
+async function deliverNotification(notificationId) {
+  const ref = notificationRef(notificationId);
+  const notification = await claimNotification(ref);
+
+  if (!notification) {
+    return null;
+  }
+
+  try {
+    const recipient = await resolveRecipient(notification);
+    if (!recipient.email) {
+      throw Object.assign(new Error("User has no email address"), { permanent: true });
+    }
+
+    let content;
+    try {
+      content = renderEmail(notification.type, notification.data, { name: recipient.name });
+    } catch (error) {
+      throw Object.assign(error, { permanent: true });
+    }
+
+    const transport = getEmailTransport();
+    const result = await transport.send({
+      id: ref.id,
+      from: EMAIL_FROM,
+      to: recipient.email,
+      ...content
+    });
+
+    await ref.update({
+      status: "sent",
+      to: recipient.email,
+      transport: transport.name,
+      providerMessageId: result.messageId || null,
+      lastError: null,
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.log(`📧 ${notification.type} sent to ${recipient.email}`);
+    return "sent";
+  } catch (error) {
+    const giveUp = error.permanent || notification.attempts >= MAX_ATTEMPTS;
+    const delay = RETRY_DELAYS[Math.min(notification.attempts - 1, RETRY_DELAYS.length - 1)];
+
+    await ref.update({
+      status: giveUp ? "failed" : "retrying",
+      lastError: error.message,
+      nextAttemptAt: giveUp
+        ? null
+        : admin.firestore.Timestamp.fromMillis(Date.now() + delay * 60 * 1000),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    console.error(`❌ ${notification.type} notification ${ref.id} failed:`, error.message);
+    return giveUp ? "failed" : "retrying";
+  }
+}
+
+/**
+ * Queue a notification and try to send it now. Never throws: a failed
+ * send stays queued for retry, and a notification is never a reason to
+ * fail the payment or order change that triggered it.
+ */
+async function notify(userId, type, data = {}, { dedupeKey = null } = {}) {
+  if (!userId) {
+    return false;
+  }
+
+  try {
+    const { id, created } = await enqueue(userId, type, data, { dedupeKey });
+    if (created) {
+      await deliverNotification(id);
+    }
+    return created;
+  } catch (error) {
+    console.error(`❌ Could not queue ${type} notification for user ${userId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Send everything that is due, including retries and stale sends, the
+ * longest-waiting first. Sends keep the nextAttemptAt they were claimed
+ * at, so stale ones are still picked up.
+ */
+async function processNotificationQueue({ limit = 100 } = {}) {
+  const snapshot = await db.collection("notifications")
+    .where("status", "in", ["queued", "retrying", "sending"])
+    .where("nextAttemptAt", "<=", admin.firestore.Timestamp.now())
+    .orderBy("nextAttemptAt")
+    .limit(limit)
+    .get();
+
+  const results = { sent: 0, retrying: 0, failed: 0, skipped: 0 };
+
+  for (const doc of snapshot.docs) {
+    const status = await deliverNotification(doc.id);
+    results[status || "skipped"]++;
+  }
+
+  return results;
+}
+
+// =========================
+// ORDER NOTIFICATIONS
+// =========================
+
+/**
+ * Receipt data for an order's confirmation email
+ */
+function buildOrderEmailData(orderId, order) {
+  const pricing = order.pricing || {};
+  const lines = pricing.lineItems?.length ? pricing.lineItems : order.items || [];
+
+  return {
+    orderId,
+    deliveryMethod: order.deliveryMethod || null,
+    items: lines.map(line => ({
+      name: line.name || null,
+      menuItemId: line.menuItemId || null,
+      quantity: line.quantity,
+      lineTotal: line.lineTotal ?? (line.unitPrice || 0) * line.quantity
+    })),
+    subtotal: pricing.subtotal ?? order.totalAmount ?? 0,
+    deliveryFee: pricing.deliveryFee || 0,
+    discount: pricing.discount || 0,
+    walletAmount: order.walletAmount || 0,
+    total: order.totalAmount ?? pricing.total ?? 0,
+    paymentMethod: order.paymentMethod || null,
+    paymentStatus: order.paymentStatus || null
+  };
+}
+
+/**
+ * Send the order confirmation with its receipt, once per order
+ */
+async function notifyOrderConfirmed(orderId) {
+  try {
+    const orderDoc = await db.collection("orders").doc(orderId).get();
+    if (!orderDoc.exists) {
+      return false;
+    }
+
+    const order = orderDoc.data();
+    return notify(order.userId, "order_confirmed", buildOrderEmailData(orderId, order), {
+      dedupeKey: `order_confirmed_${orderId}`
+    });
+  } catch (error) {
+    console.error(`❌ Could not send confirmation for order ${orderId}:`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  queueNotification,
+  notify,
+  notifyOrderConfirmed,
+  deliverNotification,
+  processNotificationQueue
+};
@@ -0,0 +1,103 @@
+const { db } = require("../config/firebase");
+
+/**
+ * Order change feeds
+ *
+ * Backed by Firestore snapshot listeners, so a change made anywhere (the
+ * Stripe webhook, the kitchen, a cron job) reaches every stream watching
+ * the order. Each function returns the listener's unsubscribe function.
+ */
+
+// Orders the kitchen is still working on
+const LIVE_ORDER_STATUSES = ["confirmed", "preparing", "ready", "out_for_delivery"];
+
+// Changes to these fields are pushed to the customer
+const WATCHED_FIELDS = {
+  orderStatus: "status",
+  paymentStatus: "payment"
+};
+
+/**
+ * Watch one order. onChange(order, changes) is called with the current
+ * order straight away (changes = []), then whenever its status or payment
+ * status changes, with changes listing which ("status", "payment").
+ * order is null if the order is deleted.
+ */
+function watchOrder(orderId, onChange, onError) {
+  let previous = null;
+
+  return db.collection("orders").doc(orderId).onSnapshot((doc) => {
+    if (!doc.exists) {
+      onChange(null, []);
+      return;
+    }
+
+    const order = { id: doc.id, ...doc.data() };
+    const changes = previous
+      ? Object.keys(WATCHED_FIELDS)
+        .filter(field => previous[field] !== order[field])
+        .map(field => WATCHED_FIELDS[field])
+      : [];
+
+    if (previous && changes.length === 0) {
+      return;
+    }
+
+    previous = order;
+    onChange(order, changes);
+  }, onError);
+}
+
+/**
+ * Watch every live order. onSnapshot(orders) is called once with them all,
+ * then onChange(type, order) for each order "added", "modified" or
+ * "removed" (finished or cancelled) afterwards.
+ */
+function watchLiveOrders({ onSnapshot, onChange }, onError) {
+  let initial = true;
+
+  return db.collection("orders")
+    .where("orderStatus", "in", LIVE_ORDER_STATUSES)
+    .onSnapshot((snapshot) => {
+      if (initial) {
+        initial = false;
+        onSnapshot(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+        return;
+      }
+
+      snapshot.docChanges().forEach((change) => {
+        onChange(change.type, { id: change.doc.id, ...change.doc.data() });
+      });
+    }, onError);
+}
+
+/**
+ * Send every live order, then each change to them, down an event stream
+ * (see utils/sse.js) until it closes.
+ *
+ * events:
+ *   orders   - all live orders, sent on connect
+ *   added    - an order became live (e.g. its payment went through)
+ *   modified - a live order changed
+ *   removed  - an order was finished or cancelled
+ *   error    - { error } before the stream is closed
+ */
+function streamLiveOrders(stream) {
+  const unsubscribe = watchLiveOrders({
+    onSnapshot: orders => stream.send("orders", orders),
+    onChange: (type, order) => stream.send(type, order)
+  }, (err) => {
+    console.error("❌ Live orders stream failed:", err);
+    stream.send("error", { error: "Live orders stream failed" });
+    stream.close();
+  });
+
+  stream.onClose(unsubscribe);
+}
+
+module.exports = {
+  LIVE_ORDER_STATUSES,
+  watchOrder,
+  watchLiveOrders,
+  streamLiveOrders
+};
@@ -0,0 +1,544 @@
+const Stripe = require("stripe");
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { getPayableOrder, calculateOrderTotal } = require("./pricing");
+const { orderHoldReference, runLedgerTransaction, releaseHold } = require("./wallet");
+const { createOrderRefund } = require("./refunds");
+const { redeemOrderPromotion } = require("./promotions");
+const { awardOrderPoints } = require("./loyalty");
+const { notifyOrderConfirmed } = require("./notifications");
+const { normalizePostcode } = require("./deliveryZones");
+const { resolveSlot, reserveSlot, confirmSlot, releaseSlot } = require("./slots");
+const { preorderPaymentParams } = require("./preorders");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Order status state machine: the statuses each status may move to
+ */
+const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["preparing", "cancelled"],
+  preparing: ["ready", "cancelled"],
+  ready: ["out_for_delivery", "collected", "cancelled"],
+  out_for_delivery: ["completed"],
+  collected: ["completed"],
+  completed: [],
+  cancelled: []
+};
+
+// Statuses a customer may still cancel from themselves
+const CUSTOMER_CANCELLABLE_STATUSES = ["pending", "confirmed"];
+
+// Payment statuses of orders that were paid for, whatever happened after
+const PAID_PAYMENT_STATUSES = ["paid", "partially_refunded", "refunded", "disputed", "dispute_lost"];
+
+// Statuses an order can't reach while its card is only authorized
+const CAPTURE_REQUIRED_STATUSES = ["out_for_delivery", "collected"];
+
+function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+function assertTransition(from, to) {
+  if (!ORDER_TRANSITIONS[to]) {
+    throw new HttpError(400, `Unknown order status: ${to}`);
+  }
+
+  if (!canTransition(from, to)) {
+    throw new HttpError(409, `Cannot move order from ${from} to ${to}`);
+  }
+}
+
+/**
+ * Fields that move an order to a new status, timestamped per status
+ */
+function buildStatusUpdate(to) {
+  return {
+    orderStatus: to,
+    [`statusTimestamps.${to}`]: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * Entry for the orders/{id}/statusHistory subcollection
+ */
+function buildStatusHistoryEntry(from, to, { actor = "system", reason = null } = {}) {
+  return {
+    from,
+    to,
+    actor,
+    reason,
+    at: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+function statusHistoryRef(orderRef) {
+  return orderRef.collection("statusHistory").doc();
+}
+
+/**
+ * Move an order to a new status, validated against the state machine.
+ * The status change and its history entry are written in one transaction.
+ */
+async function transitionOrder(orderId, to, { actor, reason, extra = {} } = {}) {
+  const orderRef = db.collection("orders").doc(orderId);
+
+  const result = await db.runTransaction(async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+
+    if (!orderSnap.exists) {
+      throw new HttpError(404, "Order not found");
+    }
+
+    const from = orderSnap.data().orderStatus;
+    assertTransition(from, to);
+
+    if (CAPTURE_REQUIRED_STATUSES.includes(to) && orderSnap.data().paymentStatus === "authorized") {
+      throw new HttpError(409, "Capture the payment before the order leaves the kitchen");
+    }
+
+    transaction.update(orderRef, { ...extra, ...buildStatusUpdate(to) });
+    transaction.set(statusHistoryRef(orderRef), buildStatusHistoryEntry(from, to, { actor, reason }));
+
+    return { id: orderId, from, to };
+  });
+
+  // Orders confirmed by staff (not by a payment) get their email here
+  if (to === "confirmed") {
+    await notifyOrderConfirmed(orderId);
+  }
+
+  return result;
+}
+
+/**
+ * Fields written to an order once its payment is complete.
+ * A pre-order was confirmed when its card was authorized, so capturing
+ * it (confirm: false) leaves its status alone.
+ */
+function buildPaidOrderUpdate({
+  stripePaymentIntentId = null,
+  stripeChargeId = null,
+  paymentMethod = "card",
+  walletAmount = 0,
+  confirm = true
+} = {}) {
+  return {
+    ...(confirm
+      ? buildStatusUpdate("confirmed")
+      : { updatedAt: admin.firestore.FieldValue.serverTimestamp() }),
+    paymentStatus: "paid",
+    verified: true,
+    currency: "GBP",
+    paymentMethod,
+    walletAmount,
+    stripePaymentIntentId,
+    stripeChargeId,
+    paidAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * Fields written to a pre-order once its card is authorized: it's
+ * confirmed now and marked paid when the kitchen captures the payment
+ */
+function buildAuthorizedOrderUpdate({
+  stripePaymentIntentId,
+  authorizedAmount,
+  authorizationExpiresAt,
+  walletAmount = 0
+}) {
+  return {
+    ...buildStatusUpdate("confirmed"),
+    paymentStatus: "authorized",
+    currency: "GBP",
+    paymentMethod: walletAmount > 0 ? "hybrid" : "card",
+    walletAmount,
+    pendingPaymentIntentId: stripePaymentIntentId,
+    authorizedAmount,
+    authorizationExpiresAt,
+    authorizationFlag: null,
+    authorizedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * Parameters for the PaymentIntent paying an order's card share, used for
+ * first attempts and retries alike. Holds the order's place in its slot
+ * while it's being paid; a pre-order is authorized now and captured
+ * when it's made.
+ */
+async function buildOrderPaymentIntentParams(orderId, order, {
+  userId,
+  customerId,
+  totalAmount,
+  walletAmount = 0,
+  metadata = {}
+}) {
+  await reserveSlot(orderId, order);
+
+  return {
+    amount: totalAmount - walletAmount,
+    currency: "gbp",
+    customer: customerId,
+    metadata: {
+      orderId,
+      userId,
+      totalAmount: totalAmount.toString(),
+      walletAmount: walletAmount.toString(),
+      ...metadata
+    },
+    automatic_payment_methods: {
+      enabled: true,
+      allow_redirects: "never"
+    },
+    ...preorderPaymentParams(order)
+  };
+}
+
+/**
+ * Cancel an order's open PaymentIntent and expire its open Checkout
+ * session, so neither can also be paid. A payment that is already
+ * completing is a 409.
+ */
+async function closePendingPayments(order) {
+  const paymentIntentId = order.pendingPaymentIntentId;
+
+  if (paymentIntentId) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+    if (paymentIntent.status === "succeeded" || paymentIntent.status === "processing") {
+      throw new HttpError(409, "Payment is completing; try again once it has been confirmed");
+    }
+
+    if (paymentIntent.status !== "canceled") {
+      await stripe.paymentIntents.cancel(paymentIntentId, {
+        cancellation_reason: "requested_by_customer"
+      });
+    }
+  }
+
+  if (order.pendingCheckoutSessionId) {
+    const session = await stripe.checkout.sessions.retrieve(order.pendingCheckoutSessionId);
+
+    if (session.status === "complete") {
+      throw new HttpError(409, "Payment is completing; try again once it has been confirmed");
+    }
+
+    if (session.status === "open") {
+      await stripe.checkout.sessions.expire(session.id);
+    }
+  }
+}
+
+/**
+ * Pay for an order entirely from the wallet.
+ *
+ * The debit, the order update and the orderHistory entry are written in one
+ * transaction. The debit uses the same ledger entry id as the card flow's
+ * wallet capture, so an order can only ever be charged to the wallet once
+ * and a retried request returns the already-paid order. Any card payment
+ * or Checkout session still open for the order is closed first.
+ */
+async function payOrderWithWallet(orderId, userId) {
+  const orderRef = db.collection("orders").doc(orderId);
+  const orderDoc = await orderRef.get();
+
+  if (orderDoc.exists && orderDoc.data().userId === userId && orderDoc.data().paymentStatus === "paid") {
+    return { alreadyPaid: true, amount: orderDoc.data().walletAmount || 0 };
+  }
+
+  const { order } = await getPayableOrder(orderId, userId);
+  const pricing = await calculateOrderTotal(order, { orderId });
+  const amount = pricing.total;
+  const reference = orderHoldReference(orderId);
+
+  if (amount <= 0) {
+    throw new HttpError(400, "Invalid order total");
+  }
+
+  await reserveSlot(orderId, order);
+  await closePendingPayments(order);
+
+  let alreadyPaid = false;
+
+  const wallet = await runLedgerTransaction(userId, {
+    entryId: `capture_${reference}`,
+    read: async (transaction) => transaction.get(orderRef),
+    apply: (counters, userData, orderSnap) => {
+      const current = orderSnap.data();
+
+      if (current.paymentStatus === "paid") {
+        alreadyPaid = true;
+        return null;
+      }
+
+      if (current.orderStatus !== "pending") {
+        throw new HttpError(409, `Order is not pending (status: ${current.orderStatus})`);
+      }
+
+      const entries = [];
+      const holds = { ...counters.holds };
+      let held = counters.held;
+
+      // Funds reserved by an earlier card attempt go towards this payment
+      if (holds[reference]) {
+        entries.push({
+          type: "hold_release",
+          amount: holds[reference].amount,
+          balanceDelta: 0,
+          heldDelta: -holds[reference].amount,
+          reference,
+          description: "Replaced by wallet payment"
+        });
+        held -= holds[reference].amount;
+        delete holds[reference];
+      }
+
+      if (counters.balance - held < amount) {
+        throw new HttpError(400, "Insufficient wallet balance");
+      }
+
+      entries.push({
+        type: "order_payment",
+        amount,
+        balanceDelta: -amount,
+        heldDelta: 0,
+        reference,
+        description: `Payment for order ${orderId}`,
+        metadata: { orderId }
+      });
+
+      return {
+        entries,
+        balance: counters.balance - amount,
+        held,
+        holds
+      };
+    },
+    write: (transaction) => {
+      transaction.update(orderRef, {
+        ...buildPaidOrderUpdate({ paymentMethod: "wallet", walletAmount: amount }),
+        pricing: { ...pricing, walletAmount: amount, stripeAmount: 0 },
+        totalAmount: amount,
+        pendingPaymentIntentId: null,
+        pendingCheckoutSessionId: null
+      });
+      transaction.set(
+        statusHistoryRef(orderRef),
+        buildStatusHistoryEntry("pending", "confirmed", { reason: "Paid from wallet" })
+      );
+
+      return {
+        orderHistory: admin.firestore.FieldValue.arrayUnion(orderId)
+      };
+    }
+  });
+
+  if (!alreadyPaid && !wallet.duplicate) {
+    await confirmSlot(orderId, order);
+    await redeemOrderPromotion(orderId, { userId, pricing });
+    await awardOrderPoints(orderId);
+    await notifyOrderConfirmed(orderId);
+  }
+
+  return {
+    alreadyPaid: alreadyPaid || wallet.duplicate,
+    amount,
+    pricing,
+    walletBalance: wallet.balance
+  };
+}
+
+/**
+ * Create a pending order for a user from the items they picked.
+ * Prices are never taken from the request; they are computed from the menu.
+ *
+ * input:
+ * {
+ *   items: [{ menuItemId, quantity, modifiers?: [{ groupId, optionId }] }],
+ *   deliveryMethod: "delivery" | "collection",
+ *   deliveryAddress?: object (with a postcode),
+ *   slot?: { date: "YYYY-MM-DD", time: "HH:MM" } (required when slots are set up),
+ *   notes?: string
+ * }
+ */
+async function createOrder(userId, { items, deliveryMethod = "collection", deliveryAddress = null, slot = null, notes = null } = {}) {
+  if (!["delivery", "collection"].includes(deliveryMethod)) {
+    throw new HttpError(400, "Invalid delivery method");
+  }
+
+  if (deliveryMethod === "delivery" && !deliveryAddress) {
+    throw new HttpError(400, "Missing delivery address");
+  }
+
+  if (deliveryMethod === "delivery") {
+    const postcode = normalizePostcode(deliveryAddress.postcode || deliveryAddress.postalCode);
+    deliveryAddress = postcode ? { ...deliveryAddress, postcode } : deliveryAddress;
+  }
+
+  // Items are priced for the slot, so availability windows apply then
+  const bookedSlot = await resolveSlot(deliveryMethod, slot);
+  const pricing = await calculateOrderTotal({
+    items,
+    deliveryMethod,
+    deliveryAddress,
+    scheduledFor: bookedSlot ? bookedSlot.start : null
+  });
+  const orderRef = db.collection("orders").doc();
+
+  const order = {
+    userId,
+    items: pricing.lineItems.map(line => ({
+      menuItemId: line.menuItemId,
+      name: line.name,
+      quantity: line.quantity,
+      modifiers: line.modifiers.map(({ groupId, optionId }) => ({ groupId, optionId })),
+      unitPrice: line.unitPrice
+    })),
+    deliveryMethod,
+    deliveryAddress,
+    deliveryZoneId: pricing.deliveryZoneId,
+    slot: bookedSlot ? { method: bookedSlot.method, date: bookedSlot.date, time: bookedSlot.time } : null,
+    scheduledFor: bookedSlot ? admin.firestore.Timestamp.fromDate(bookedSlot.start) : null,
+    notes,
+    pricing,
+    totalAmount: pricing.total,
+    currency: "GBP",
+    orderStatus: "pending",
+    paymentStatus: "pending",
+    statusTimestamps: {
+      pending: admin.firestore.FieldValue.serverTimestamp()
+    },
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  const batch = db.batch();
+  batch.set(orderRef, order);
+  batch.set(statusHistoryRef(orderRef), buildStatusHistoryEntry(null, "pending", { actor: userId }));
+  await batch.commit();
+
+  const created = await orderRef.get();
+  return { id: orderRef.id, ...created.data() };
+}
+
+/**
+ * Cancel an order and undo its payment:
+ * an unpaid or authorized PaymentIntent is canceled (releasing the card
+ * hold) and held wallet funds are released, a paid order is refunded to
+ * where it was paid from.
+ */
+async function cancelOrder(orderId, { actor, reason = null, asCustomer = false } = {}) {
+  const orderRef = db.collection("orders").doc(orderId);
+  const orderSnap = await orderRef.get();
+
+  if (!orderSnap.exists) {
+    throw new HttpError(404, "Order not found");
+  }
+
+  const order = orderSnap.data();
+  assertTransition(order.orderStatus, "cancelled");
+
+  if (asCustomer && !CUSTOMER_CANCELLABLE_STATUSES.includes(order.orderStatus)) {
+    throw new HttpError(409, "This order can no longer be cancelled");
+  }
+
+  let refund = null;
+
+  if (["paid", "partially_refunded"].includes(order.paymentStatus)) {
+    refund = await createOrderRefund(orderId, {
+      destination: "original",
+      reason: reason || "Order cancelled",
+      requestedBy: actor
+    });
+  } else if (["pending", "failed", "authorized", "authorization_expired"].includes(order.paymentStatus || "pending")) {
+    await closePendingPayments(order);
+
+    if (order.userId) {
+      await releaseHold(order.userId, orderHoldReference(orderId), {
+        description: `Order ${orderId} cancelled`,
+        metadata: { orderId }
+      });
+    }
+  }
+
+  const result = await transitionOrder(orderId, "cancelled", {
+    actor,
+    reason,
+    extra: {
+      cancelledBy: actor,
+      cancellationReason: reason,
+      ...(refund ? {} : {
+        paymentStatus: ["pending", "authorized"].includes(order.paymentStatus) ? "cancelled" : order.paymentStatus
+      })
+    }
+  });
+
+  await releaseSlot(orderId, order);
+
+  return { ...result, refund };
+}
+
+/**
+ * Load an order the caller may see: their own, or any order for staff
+ */
+async function getOrderForUser(orderId, user, { isStaff = false } = {}) {
+  const orderDoc = await db.collection("orders").doc(orderId).get();
+
+  if (!orderDoc.exists) {
+    throw new HttpError(404, "Order not found");
+  }
+
+  const order = orderDoc.data();
+
+  if (!isStaff && order.userId !== user.uid) {
+    throw new HttpError(403, "Order does not belong to this user");
+  }
+
+  return { id: orderDoc.id, ...order };
+}
+
+/**
+ * A user's orders, newest first
+ */
+async function listUserOrders(userId, { limit = 50 } = {}) {
+  const snapshot = await db.collection("orders")
+    .where("userId", "==", userId)
+    .orderBy("createdAt", "desc")
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Status history of an order, oldest first
+ */
+async function getStatusHistory(orderId) {
+  const snapshot = await db.collection("orders").doc(orderId)
+    .collection("statusHistory")
+    .orderBy("at", "asc")
+    .get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  PAID_PAYMENT_STATUSES,
+  canTransition,
+  buildStatusHistoryEntry,
+  buildPaidOrderUpdate,
+  buildAuthorizedOrderUpdate,
+  buildOrderPaymentIntentParams,
+  payOrderWithWallet,
+  transitionOrder,
+  createOrder,
+  cancelOrder,
+  getOrderForUser,
+  listUserOrders,
+  getStatusHistory
+};
@@ -0,0 +1,123 @@
+const Stripe = require("stripe");
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { getPayableOrder } = require("./pricing");
+const { orderHoldReference, placeHold, releaseHold } = require("./wallet");
+const { getOrCreateCustomer } = require("./customers");
+const { buildOrderPaymentIntentParams } = require("./orders");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+// PaymentIntent statuses that can still be cancelled
+const CANCELLABLE_STATUSES = [
+  "requires_payment_method",
+  "requires_confirmation",
+  "requires_action",
+  "requires_capture"
+];
+
+/**
+ * Frontend page a failed-payment reminder links to. It calls
+ * POST /api/orders/:id/retry-payment and confirms the new PaymentIntent.
+ */
+function buildRetryUrl(orderId) {
+  const base = process.env.FRONTEND_URL || "https://adaskitchen.uk";
+  return `${base.replace(/\/$/, "")}/orders/${orderId}/retry-payment`;
+}
+
+/**
+ * Replace an order's failed PaymentIntent with a fresh one for the same
+ * amounts. The previous PaymentIntent is cancelled so it can't also be paid.
+ */
+async function createRetryPaymentIntent(orderId, user) {
+  const { orderRef, order } = await getPayableOrder(orderId, user.uid);
+
+  if (order.paymentStatus !== "failed") {
+    throw new HttpError(409, "Only a failed payment can be retried");
+  }
+
+  const totalAmount = order.totalAmount ?? order.pricing?.total;
+  const walletAmount = order.pricing?.walletAmount || 0;
+  const stripeAmount = totalAmount - walletAmount;
+
+  if (!Number.isInteger(stripeAmount) || stripeAmount <= 0) {
+    throw new HttpError(409, "Order has no card amount to retry; create a new payment instead");
+  }
+
+  // Point the order at the new attempt before cancelling the old one, so
+  // the payment_intent.canceled webhook sees it as superseded
+  const previousPaymentIntentId = order.pendingPaymentIntentId || null;
+  const customerId = await getOrCreateCustomer(user.uid, user.email);
+  const holdReference = orderHoldReference(orderId);
+  const paymentIntentParams = await buildOrderPaymentIntentParams(orderId, order, {
+    userId: user.uid,
+    customerId,
+    totalAmount,
+    walletAmount,
+    metadata: { retryOf: previousPaymentIntentId || "" }
+  });
+
+  if (walletAmount > 0) {
+    await placeHold(user.uid, holdReference, walletAmount, {
+      description: `Reserved for order ${orderId}`,
+      metadata: { orderId }
+    });
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create(paymentIntentParams);
+  } catch (error) {
+    if (walletAmount > 0) {
+      await releaseHold(user.uid, holdReference, {
+        description: "Payment intent could not be created"
+      });
+    }
+    throw error;
+  }
+
+  await orderRef.update({
+    pendingPaymentIntentId: paymentIntent.id,
+    paymentStatus: "pending",
+    paymentError: null,
+    paymentRetries: admin.firestore.FieldValue.increment(1),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  if (previousPaymentIntentId) {
+    const previous = await stripe.paymentIntents.retrieve(previousPaymentIntentId);
+    if (CANCELLABLE_STATUSES.includes(previous.status)) {
+      await stripe.paymentIntents.cancel(previousPaymentIntentId, {
+        cancellation_reason: "abandoned"
+      });
+    }
+  }
+
+  return {
+    clientSecret: paymentIntent.client_secret,
+    paymentIntentId: paymentIntent.id,
+    status: paymentIntent.status,
+    captureLater: paymentIntent.capture_method === "manual",
+    amount: stripeAmount,
+    walletAmount
+  };
+}
+
+/**
+ * Orders whose last card payment failed and that are still waiting to be paid
+ */
+async function listFailedPaymentOrders() {
+  const snapshot = await db.collection("orders")
+    .where("paymentStatus", "==", "failed")
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(order => (order.orderStatus || "pending") === "pending" && order.userId);
+}
+
+module.exports = {
+  buildRetryUrl,
+  createRetryPaymentIntent,
+  listFailedPaymentOrders
+};
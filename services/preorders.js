@@ -0,0 +1,334 @@
+const Stripe = require("stripe");
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Scheduled pre-orders
+ *
+ * An order scheduled more than CAPTURE_LATER_HOURS ahead (catering, mostly)
+ * has its card authorized when it's placed and captured by the kitchen once
+ * it's made, for less if something couldn't be supplied. Stripe drops an
+ * uncaptured authorization after about a week, so renewAuthorizations
+ * authorizes the saved card again before then, or flags the order for
+ * staff when it can't.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const CAPTURE_LATER_HOURS = Number(process.env.PREORDER_CAPTURE_LATER_HOURS) || 24;
+
+// How long Stripe keeps an online card authorization
+const AUTHORIZATION_DAYS = 7;
+
+// Holds lapsing within this many hours are renewed (the job runs daily)
+const RENEW_WITHIN_HOURS = 36;
+
+// Stripe's smallest GBP card charge
+const MIN_CARD_AMOUNT = 30;
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  return new Date(value).getTime();
+}
+
+/**
+ * Whether an order is paid by authorizing now and capturing later
+ */
+function isCaptureLater(order, now = Date.now()) {
+  const scheduledFor = toMillis(order.scheduledFor);
+  return scheduledFor != null && scheduledFor - now > CAPTURE_LATER_HOURS * HOUR_MS;
+}
+
+/**
+ * Extra PaymentIntent parameters for a pre-order. An order due after its
+ * first authorization lapses keeps the card on the customer, so the
+ * renewal can authorize it again off-session.
+ */
+function preorderPaymentParams(order, now = Date.now()) {
+  if (!isCaptureLater(order, now)) {
+    return {};
+  }
+
+  const renewalDue = now + (AUTHORIZATION_DAYS * 24 - RENEW_WITHIN_HOURS) * HOUR_MS;
+
+  return {
+    capture_method: "manual",
+    ...(toMillis(order.scheduledFor) > renewalDue ? { setup_future_usage: "off_session" } : {})
+  };
+}
+
+/**
+ * When an authorized PaymentIntent must be captured by, from its charge
+ */
+async function authorizationExpiresAt(paymentIntent) {
+  const charge = typeof paymentIntent.latest_charge === "string"
+    ? await stripe.charges.retrieve(paymentIntent.latest_charge)
+    : paymentIntent.latest_charge;
+  const captureBefore = charge?.payment_method_details?.card?.capture_before;
+
+  return admin.firestore.Timestamp.fromMillis(
+    captureBefore
+      ? captureBefore * 1000
+      : paymentIntent.created * 1000 + AUTHORIZATION_DAYS * 24 * HOUR_MS
+  );
+}
+
+/**
+ * Capture an authorized pre-order once the kitchen has made it.
+ * `amount` is a lower order total in pence (e.g. an item was short); the
+ * difference comes off the card first, then the wallet part, and the
+ * rest of the hold is released.
+ *
+ * Nothing is written here: the new totals go on the capture's metadata
+ * and the webhook applies them (buildCaptureAdjustment) when it marks the
+ * order paid, so a failed capture changes nothing and a retry can't
+ * adjust the order twice.
+ */
+async function capturePreorder(orderId, { amount = null, reason = null, actor } = {}) {
+  const orderRef = db.collection("orders").doc(orderId);
+  const orderDoc = await orderRef.get();
+
+  if (!orderDoc.exists) {
+    throw new HttpError(404, "Order not found");
+  }
+
+  const order = orderDoc.data();
+
+  if (order.paymentStatus !== "authorized") {
+    throw new HttpError(409, `Order is ${order.paymentStatus || "pending"}, not awaiting capture`);
+  }
+
+  if (!["preparing", "ready"].includes(order.orderStatus)) {
+    throw new HttpError(409, `Order is ${order.orderStatus}; capture it once it's being made`);
+  }
+
+  const authorizedTotal = order.totalAmount;
+  const total = amount == null ? authorizedTotal : amount;
+
+  if (!Number.isInteger(total) || total < 1 || total > authorizedTotal) {
+    throw new HttpError(400, `amount must be a whole number of pence from 1 to ${authorizedTotal}`);
+  }
+
+  // Take the reduction off the card, keeping at least Stripe's minimum on it
+  const walletAmount = order.walletAmount || 0;
+  const cardAmount = Math.max(total - walletAmount, Math.min(MIN_CARD_AMOUNT, order.authorizedAmount));
+  const newWalletAmount = total - cardAmount;
+
+  if (newWalletAmount < 0) {
+    throw new HttpError(400, "That's less than the smallest card payment; cancel and refund the order instead");
+  }
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(order.pendingPaymentIntentId);
+
+  if (paymentIntent.status !== "requires_capture") {
+    throw new HttpError(409, `The card authorization is ${paymentIntent.status}`);
+  }
+
+  // The webhook marks the order paid, applies any adjustment and captures
+  // the wallet part (releasing the hold if none of it is used)
+  const captured = await stripe.paymentIntents.capture(paymentIntent.id, {
+    amount_to_capture: cardAmount,
+    metadata: {
+      totalAmount: total.toString(),
+      walletAmount: newWalletAmount.toString(),
+      captureReason: reason || "",
+      capturedBy: actor || ""
+    }
+  });
+
+  console.log(`💰 Pre-order ${orderId} captured: £${(cardAmount / 100).toFixed(2)} on card`);
+
+  return {
+    orderId,
+    paymentIntentId: captured.id,
+    status: captured.status,
+    total,
+    cardAmount,
+    walletAmount: newWalletAmount,
+    released: paymentIntent.amount_capturable - cardAmount
+  };
+}
+
+/**
+ * Order fields for a pre-order captured for less than it was authorized
+ * for, from the totals capturePreorder put on the PaymentIntent; null when
+ * it was captured in full. The reduction is recorded as a discount so
+ * receipts and VAT share it across the lines.
+ */
+function buildCaptureAdjustment(order, paymentIntent) {
+  const metadata = paymentIntent.metadata || {};
+  const authorizedTotal = order.totalAmount;
+  const total = Number(metadata.totalAmount);
+
+  if (!Number.isInteger(total) || total < 1 || total >= authorizedTotal) {
+    return null;
+  }
+
+  const reduction = authorizedTotal - total;
+  const walletAmount = Number(metadata.walletAmount) || 0;
+  const reason = metadata.captureReason || null;
+  const pricing = order.pricing || {};
+
+  return {
+    pricing: {
+      ...pricing,
+      discounts: [...(pricing.discounts || []), { source: "adjustment", reason, amount: reduction }],
+      discount: (pricing.discount || 0) + reduction,
+      total,
+      walletAmount,
+      stripeAmount: total - walletAmount
+    },
+    totalAmount: total,
+    captureAdjustment: {
+      from: authorizedTotal,
+      to: total,
+      reason,
+      actor: metadata.capturedBy || null,
+      stripePaymentIntentId: paymentIntent.id,
+      at: admin.firestore.Timestamp.now()
+    }
+  };
+}
+
+/**
+ * Mark an order whose hold couldn't be renewed, for staff to follow up
+ */
+async function flagAuthorization(orderId, reason, message) {
+  console.warn(`⚠️ Pre-order ${orderId} authorization flagged (${reason}):`, message);
+
+  await db.collection("orders").doc(orderId).update({
+    authorizationFlag: {
+      reason,
+      message,
+      flaggedAt: admin.firestore.Timestamp.now()
+    },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { orderId, renewed: false, reason };
+}
+
+/**
+ * Authorize a pre-order's saved card again and cancel the old hold
+ */
+async function renewAuthorization(orderId, order, { now = new Date() } = {}) {
+  const previous = await stripe.paymentIntents.retrieve(order.pendingPaymentIntentId);
+
+  if (previous.status !== "requires_capture") {
+    return flagAuthorization(orderId, "not_authorized", `The card authorization is ${previous.status}`);
+  }
+
+  const paymentMethod = previous.payment_method
+    ? await stripe.paymentMethods.retrieve(previous.payment_method)
+    : null;
+
+  if (!paymentMethod?.customer || paymentMethod.customer !== previous.customer) {
+    return flagAuthorization(orderId, "card_not_saved", "The card wasn't saved, so it can't be authorized again");
+  }
+
+  let renewed;
+  try {
+    renewed = await stripe.paymentIntents.create({
+      amount: previous.amount_capturable,
+      currency: previous.currency,
+      customer: previous.customer,
+      payment_method: paymentMethod.id,
+      capture_method: "manual",
+      off_session: true,
+      confirm: true,
+      metadata: { ...previous.metadata, renews: previous.id }
+    }, {
+      // One attempt per hold per day
+      idempotencyKey: `renew_${previous.id}_${now.toISOString().slice(0, 10)}`
+    });
+  } catch (error) {
+    if (error.payment_intent?.id) {
+      await stripe.paymentIntents.cancel(error.payment_intent.id);
+    }
+    return flagAuthorization(orderId, error.code || "renewal_failed", error.message);
+  }
+
+  if (renewed.status !== "requires_capture") {
+    await stripe.paymentIntents.cancel(renewed.id);
+    return flagAuthorization(orderId, "authentication_required", `The new authorization is ${renewed.status}`);
+  }
+
+  // Point the order at the new hold first, so the old one's cancellation
+  // is seen as superseded and leaves the wallet hold alone
+  await db.collection("orders").doc(orderId).update({
+    pendingPaymentIntentId: renewed.id,
+    authorizedAmount: renewed.amount_capturable,
+    authorizationExpiresAt: await authorizationExpiresAt(renewed),
+    authorizationFlag: null,
+    authorizationRenewedAt: admin.firestore.Timestamp.now(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  await stripe.paymentIntents.cancel(previous.id, { cancellation_reason: "duplicate" });
+
+  console.log(`✅ Pre-order ${orderId} re-authorized: ${previous.id} -> ${renewed.id}`);
+  return { orderId, renewed: true, paymentIntentId: renewed.id };
+}
+
+/**
+ * Renew the holds of pre-orders that lapse within RENEW_WITHIN_HOURS
+ * and won't be captured before then. One failing order doesn't stop
+ * the others.
+ */
+async function renewAuthorizations({ now = new Date() } = {}) {
+  const cutoff = now.getTime() + RENEW_WITHIN_HOURS * HOUR_MS;
+  const snapshot = await db.collection("orders")
+    .where("paymentStatus", "==", "authorized")
+    .get();
+
+  const due = snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter((order) => {
+      const expiresAt = toMillis(order.authorizationExpiresAt);
+      // Orders due well before their hold lapses are captured in time
+      return expiresAt != null && expiresAt <= cutoff && toMillis(order.scheduledFor) > expiresAt - 2 * HOUR_MS;
+    });
+
+  const results = [];
+
+  for (const order of due) {
+    try {
+      results.push(await renewAuthorization(order.id, order, { now }));
+    } catch (error) {
+      console.error(`❌ Could not renew authorization for order ${order.id}:`, error);
+      results.push({ orderId: order.id, renewed: false, reason: error.message });
+    }
+  }
+
+  return {
+    found: due.length,
+    renewed: results.filter(result => result.renewed).length,
+    flagged: results.filter(result => !result.renewed).length
+  };
+}
+
+/**
+ * Pre-orders awaiting capture, soonest lapsing first
+ */
+async function listAuthorizedOrders() {
+  const snapshot = await db.collection("orders")
+    .where("paymentStatus", "==", "authorized")
+    .get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (toMillis(a.authorizationExpiresAt) || 0) - (toMillis(b.authorizationExpiresAt) || 0));
+}
+
+module.exports = {
+  isCaptureLater,
+  preorderPaymentParams,
+  authorizationExpiresAt,
+  capturePreorder,
+  buildCaptureAdjustment,
+  renewAuthorizations,
+  listAuthorizedOrders
+};
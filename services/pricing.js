@@ -0,0 +1,229 @@
+const { db } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { isItemAvailable, priceModifiers, getModifierGroups } = require("./menu");
+const { applyPromotion, normalizeCode } = require("./promotions");
+const { findDeliveryZone, zoneDeliveryFee } = require("./deliveryZones");
+const { listAvailableSlots } = require("./slots");
+
+// Used when settings/pricing has not been created yet
+const DEFAULT_PRICING_SETTINGS = {
+  deliveryFee: 0,
+  freeDeliveryThreshold: null,
+  discountPercent: 0,
+  discountMinSpend: 0
+};
+
+/**
+ * Load store-wide pricing settings (all amounts in pence)
+ */
+async function getPricingSettings() {
+  const settingsDoc = await db.collection("settings").doc("pricing").get();
+
+  return {
+    ...DEFAULT_PRICING_SETTINGS,
+    ...(settingsDoc.exists ? settingsDoc.data() : {})
+  };
+}
+
+/**
+ * Load an order and make sure the caller may pay for it
+ */
+async function getPayableOrder(orderId, userId) {
+  const orderRef = db.collection("orders").doc(orderId);
+  const orderDoc = await orderRef.get();
+
+  if (!orderDoc.exists) {
+    throw new HttpError(404, "Order not found");
+  }
+
+  const order = orderDoc.data();
+
+  if (order.userId !== userId) {
+    throw new HttpError(403, "Order does not belong to this user");
+  }
+
+  if (order.orderStatus !== "pending" || order.paymentStatus === "paid") {
+    throw new HttpError(409, `Order is not pending (status: ${order.orderStatus})`);
+  }
+
+  return { orderRef, order };
+}
+
+/**
+ * Recompute an order's line items against the menu (menuItems and
+ * menuModifierGroups), which is the only source of prices
+ */
+async function priceLineItems(items, orderDate = new Date()) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new HttpError(400, "Order has no items");
+  }
+
+  const menuRefs = items.map(item =>
+    db.collection("menuItems").doc(String(item.menuItemId || item.id))
+  );
+  const menuDocs = await db.getAll(...menuRefs);
+
+  menuDocs.forEach((menuDoc, index) => {
+    if (!menuDoc.exists) {
+      throw new HttpError(400, `Menu item not found: ${menuRefs[index].id}`);
+    }
+  });
+
+  const modifierGroups = await getModifierGroups(menuDocs.map(doc => doc.data()));
+
+  return items.map((item, index) => {
+    const menuDoc = menuDocs[index];
+    const quantity = Number(item.quantity);
+
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new HttpError(400, `Invalid quantity for item: ${menuDoc.id}`);
+    }
+
+    const menuItem = menuDoc.data();
+
+    if (!isItemAvailable(menuItem, orderDate)) {
+      throw new HttpError(400, `${menuItem.name || menuDoc.id} is not available`);
+    }
+
+    if (!Number.isInteger(menuItem.price) || menuItem.price < 0) {
+      throw new HttpError(500, `Menu item has no valid price: ${menuDoc.id}`);
+    }
+
+    const modifiers = priceModifiers(menuItem, item.modifiers || [], modifierGroups);
+    const unitPrice = menuItem.price + modifiers.reduce((sum, modifier) => sum + modifier.price, 0);
+
+    return {
+      menuItemId: menuDoc.id,
+      name: menuItem.name || null,
+      quantity,
+      basePrice: menuItem.price,
+      modifiers,
+      unitPrice,
+      lineTotal: unitPrice * quantity,
+      vatRate: menuItem.vatRate ?? null
+    };
+  });
+}
+
+/**
+ * When an order will be made: its scheduled slot, else now
+ */
+function orderDateOf(order) {
+  if (!order.scheduledFor) {
+    return new Date();
+  }
+
+  return typeof order.scheduledFor.toDate === "function"
+    ? order.scheduledFor.toDate()
+    : new Date(order.scheduledFor);
+}
+
+/**
+ * Build the server-side price breakdown for an order (all amounts in pence).
+ * Item availability is checked for when the order will be made.
+ * A promo code stored as order.promoCode is validated for order.userId.
+ * Delivery is priced by the zone of order.deliveryAddress; an address
+ * outside every zone, or a basket under the zone's minimum, is a 400.
+ *
+ * returns:
+ * {
+ *   lineItems: [{ menuItemId, name, quantity, basePrice, modifiers, unitPrice, lineTotal, vatRate }],
+ *   subtotal: number,
+ *   deliveryZoneId: string | null,
+ *   deliveryFee: number,
+ *   discounts: [{ source: "store" | "promotion", code?, type?, amount }],
+ *   discount: number,
+ *   total: number
+ * }
+ */
+async function calculateOrderTotal(order, { orderId = null } = {}) {
+  const [lineItems, settings] = await Promise.all([
+    priceLineItems(order.items, orderDateOf(order)),
+    getPricingSettings()
+  ]);
+
+  const subtotal = lineItems.reduce((sum, line) => sum + line.lineTotal, 0);
+
+  let deliveryFee = 0;
+  let deliveryZone = null;
+  if (order.deliveryMethod === "delivery") {
+    deliveryZone = await findDeliveryZone(order.deliveryAddress);
+
+    if (deliveryZone) {
+      deliveryFee = zoneDeliveryFee(deliveryZone, subtotal);
+    } else {
+      // No zones set up yet: the store-wide fee
+      const qualifiesForFreeDelivery =
+        settings.freeDeliveryThreshold != null && subtotal >= settings.freeDeliveryThreshold;
+      deliveryFee = qualifiesForFreeDelivery ? 0 : settings.deliveryFee;
+    }
+  }
+
+  const discounts = [];
+  if (settings.discountPercent > 0 && subtotal >= settings.discountMinSpend) {
+    discounts.push({
+      source: "store",
+      type: "percentage",
+      amount: Math.round(subtotal * settings.discountPercent / 100)
+    });
+  }
+
+  if (order.promoCode) {
+    discounts.push(await applyPromotion(order.promoCode, {
+      userId: order.userId,
+      orderId,
+      subtotal,
+      deliveryFee
+    }));
+  }
+
+  const discount = Math.min(
+    discounts.reduce((sum, line) => sum + line.amount, 0),
+    subtotal + deliveryFee
+  );
+  const total = subtotal + deliveryFee - discount;
+
+  return {
+    lineItems,
+    subtotal,
+    deliveryZoneId: deliveryZone ? deliveryZone.id : null,
+    deliveryFee,
+    discounts,
+    discount,
+    total
+  };
+}
+
+/**
+ * Price a basket before it becomes an order, with the slots it can be
+ * booked into
+ */
+async function quoteBasket({ items, deliveryMethod = "collection", postcode = null, promoCode = null, userId = null }) {
+  if (!["delivery", "collection"].includes(deliveryMethod)) {
+    throw new HttpError(400, "Invalid delivery method");
+  }
+
+  const [pricing, slots] = await Promise.all([
+    calculateOrderTotal({
+      items,
+      deliveryMethod,
+      deliveryAddress: postcode ? { postcode } : null,
+      promoCode: promoCode && userId ? normalizeCode(promoCode) : null,
+      userId
+    }),
+    listAvailableSlots(deliveryMethod)
+  ]);
+
+  return {
+    deliveryMethod,
+    pricing,
+    slotsRequired: slots.enabled,
+    slots: slots.slots.filter(slot => slot.available)
+  };
+}
+
+module.exports = {
+  getPayableOrder,
+  calculateOrderTotal,
+  quoteBasket
+};
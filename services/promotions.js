@@ -0,0 +1,315 @@
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+
+const PROMOTION_TYPES = ["percentage", "fixed_amount", "free_delivery"];
+
+/**
+ * Promo codes are stored upper-case as the promotions document id
+ */
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+function promotionRef(code) {
+  return db.collection("promotions").doc(normalizeCode(code));
+}
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  return new Date(value).getTime();
+}
+
+/**
+ * Discount a promotion gives on an order (in pence)
+ */
+function computePromotionDiscount(promotion, { subtotal, deliveryFee }) {
+  if (promotion.type === "percentage") {
+    return Math.min(Math.round(subtotal * promotion.value / 100), subtotal);
+  }
+
+  if (promotion.type === "fixed_amount") {
+    return Math.min(promotion.value, subtotal);
+  }
+
+  if (promotion.type === "free_delivery") {
+    return deliveryFee;
+  }
+
+  return 0;
+}
+
+/**
+ * Check a promo code against its rules for this user and basket.
+ * Returns the discount line to add to the order's pricing.
+ */
+async function applyPromotion(code, { userId, orderId = null, subtotal, deliveryFee, now = new Date() }) {
+  const promoDoc = await promotionRef(code).get();
+
+  if (!promoDoc.exists || promoDoc.data().active === false) {
+    throw new HttpError(400, "Promo code is not valid");
+  }
+
+  const promotion = promoDoc.data();
+  const startsAt = toMillis(promotion.startsAt);
+  const expiresAt = toMillis(promotion.expiresAt);
+
+  if (startsAt && now.getTime() < startsAt) {
+    throw new HttpError(400, "Promo code is not active yet");
+  }
+
+  if (expiresAt && now.getTime() >= expiresAt) {
+    throw new HttpError(400, "Promo code has expired");
+  }
+
+  if (promotion.minSpend && subtotal < promotion.minSpend) {
+    throw new HttpError(400, `Promo code needs a minimum spend of £${(promotion.minSpend / 100).toFixed(2)}`);
+  }
+
+  if (promotion.maxRedemptions != null && (promotion.redemptionCount || 0) >= promotion.maxRedemptions) {
+    throw new HttpError(400, "Promo code has been fully redeemed");
+  }
+
+  if (promotion.maxRedemptionsPerUser != null) {
+    const userRedemptions = await promoDoc.ref.collection("redemptions")
+      .where("userId", "==", userId)
+      .get();
+    const otherOrders = userRedemptions.docs.filter(doc => doc.id !== orderId);
+
+    if (otherOrders.length >= promotion.maxRedemptionsPerUser) {
+      throw new HttpError(400, "You have already used this promo code");
+    }
+  }
+
+  if (promotion.firstOrderOnly) {
+    const userDoc = await db.collection("users").doc(userId).get();
+    const orderHistory = userDoc.exists ? userDoc.data().orderHistory || [] : [];
+
+    if (orderHistory.length > 0) {
+      throw new HttpError(400, "Promo code is only valid on your first order");
+    }
+  }
+
+  const amount = computePromotionDiscount(promotion, { subtotal, deliveryFee });
+
+  if (amount <= 0) {
+    throw new HttpError(400, "Promo code does not apply to this order");
+  }
+
+  return {
+    source: "promotion",
+    code: promoDoc.id,
+    type: promotion.type,
+    amount
+  };
+}
+
+/**
+ * Consume a promo code for a paid order. Safe to call more than once per order.
+ * The limits are checked again here, as two orders can be paid with the
+ * last use at once. The order is already paid by then, so one over a limit
+ * keeps its discount but is flagged for staff (order.promotionFlag) and its
+ * redemption is marked overLimit.
+ */
+async function redeemPromotion(code, { userId, orderId, amount }) {
+  const ref = promotionRef(code);
+  const redemptionRef = ref.collection("redemptions").doc(orderId);
+  const orderRef = db.collection("orders").doc(orderId);
+
+  return db.runTransaction(async (transaction) => {
+    const [promoSnap, redemptionSnap, userRedemptions] = await Promise.all([
+      transaction.get(ref),
+      transaction.get(redemptionRef),
+      transaction.get(ref.collection("redemptions").where("userId", "==", userId))
+    ]);
+
+    if (!promoSnap.exists || redemptionSnap.exists) {
+      return false;
+    }
+
+    const promotion = promoSnap.data();
+    let overLimit = null;
+
+    if (promotion.maxRedemptions != null && (promotion.redemptionCount || 0) >= promotion.maxRedemptions) {
+      overLimit = `Promo ${ref.id} was already fully redeemed (${promotion.maxRedemptions} uses)`;
+    } else if (promotion.maxRedemptionsPerUser != null && userRedemptions.size >= promotion.maxRedemptionsPerUser) {
+      overLimit = `Promo ${ref.id} was already used ${userRedemptions.size} times by this customer`;
+    }
+
+    if (overLimit) {
+      console.warn(`⚠️ Order ${orderId} paid past a promo limit:`, overLimit);
+      transaction.update(orderRef, {
+        promotionFlag: {
+          reason: "over_limit",
+          code: ref.id,
+          message: overLimit,
+          flaggedAt: admin.firestore.Timestamp.now()
+        },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    transaction.set(redemptionRef, {
+      userId,
+      orderId,
+      amount,
+      overLimit: Boolean(overLimit),
+      redeemedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(ref, {
+      redemptionCount: admin.firestore.FieldValue.increment(1),
+      discountGiven: admin.firestore.FieldValue.increment(amount),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return true;
+  });
+}
+
+/**
+ * Redeem the promo code recorded in an order's pricing, if any
+ */
+async function redeemOrderPromotion(orderId, order) {
+  const promoLine = (order.pricing?.discounts || []).find(line => line.source === "promotion");
+
+  if (!promoLine) {
+    return false;
+  }
+
+  const redeemed = await redeemPromotion(promoLine.code, {
+    userId: order.userId,
+    orderId,
+    amount: promoLine.amount
+  });
+
+  if (redeemed) {
+    console.log(`🏷️ Promo ${promoLine.code} redeemed for order ${orderId}`);
+  }
+
+  return redeemed;
+}
+
+// =========================
+// ADMIN MANAGEMENT
+// =========================
+
+function validatePromotion(data, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || data.type !== undefined) {
+    if (!PROMOTION_TYPES.includes(data.type)) {
+      throw new HttpError(400, `type must be one of ${PROMOTION_TYPES.join(", ")}`);
+    }
+    fields.type = data.type;
+  }
+
+  if (data.value !== undefined || (!partial && data.type !== "free_delivery")) {
+    if (!Number.isInteger(data.value) || data.value <= 0) {
+      throw new HttpError(400, "value must be a positive whole number");
+    }
+    if (data.type === "percentage" && data.value > 100) {
+      throw new HttpError(400, "A percentage cannot be more than 100");
+    }
+    fields.value = data.value;
+  }
+
+  ["minSpend", "maxRedemptions", "maxRedemptionsPerUser"].forEach((field) => {
+    if (data[field] !== undefined) {
+      if (data[field] !== null && (!Number.isInteger(data[field]) || data[field] < 0)) {
+        throw new HttpError(400, `${field} must be a whole number`);
+      }
+      fields[field] = data[field];
+    }
+  });
+
+  ["startsAt", "expiresAt"].forEach((field) => {
+    if (data[field] !== undefined) {
+      if (data[field] !== null && Number.isNaN(new Date(data[field]).getTime())) {
+        throw new HttpError(400, `${field} must be a date`);
+      }
+      fields[field] = data[field] ? admin.firestore.Timestamp.fromDate(new Date(data[field])) : null;
+    }
+  });
+
+  ["firstOrderOnly", "active"].forEach((field) => {
+    if (data[field] !== undefined) {
+      fields[field] = !!data[field];
+    }
+  });
+
+  if (data.description !== undefined) {
+    fields.description = data.description;
+  }
+
+  return fields;
+}
+
+async function createPromotion(data, { actor } = {}) {
+  const code = normalizeCode(data.code);
+
+  if (!/^[A-Z0-9_-]{3,32}$/.test(code)) {
+    throw new HttpError(400, "code must be 3-32 letters, numbers, dashes or underscores");
+  }
+
+  const fields = validatePromotion(data);
+  const ref = promotionRef(code);
+
+  await db.runTransaction(async (transaction) => {
+    const existing = await transaction.get(ref);
+    if (existing.exists) {
+      throw new HttpError(409, "Promo code already exists");
+    }
+
+    transaction.set(ref, {
+      active: true,
+      firstOrderOnly: false,
+      minSpend: 0,
+      maxRedemptions: null,
+      maxRedemptionsPerUser: null,
+      startsAt: null,
+      expiresAt: null,
+      ...fields,
+      code,
+      redemptionCount: 0,
+      discountGiven: 0,
+      createdBy: actor || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+
+  return { id: code, ...(await ref.get()).data() };
+}
+
+async function updatePromotion(code, data, { actor } = {}) {
+  const ref = promotionRef(code);
+  const existing = await ref.get();
+
+  if (!existing.exists) {
+    throw new HttpError(404, "Promo code not found");
+  }
+
+  const fields = validatePromotion({ type: existing.data().type, ...data }, { partial: true });
+
+  await ref.update({
+    ...fields,
+    updatedBy: actor || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { id: ref.id, ...(await ref.get()).data() };
+}
+
+async function listPromotions() {
+  const snapshot = await db.collection("promotions").get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  normalizeCode,
+  applyPromotion,
+  redeemOrderPromotion,
+  createPromotion,
+  updatePromotion,
+  listPromotions
+};
@@ -0,0 +1,461 @@
+const PDFDocument = require("pdfkit");
+const Stripe = require("stripe");
+const { db, admin } = require("../config/firebase");
+const { business } = require("../config/business");
+const { HttpError } = require("../utils/httpError");
+const { formatPence, escapeHtml } = require("./emailTemplates");
+const { PAID_PAYMENT_STATUSES } = require("./orders");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Receipts and VAT invoices
+ *
+ * An order gets its invoice number the first time a receipt is produced,
+ * from a single counter document so numbers are sequential with no gaps.
+ * Prices are VAT-inclusive; VAT is worked out per line from the rate the
+ * item was sold at, after sharing any discount across the lines.
+ */
+
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate();
+  return new Date(value);
+}
+
+function formatDate(value) {
+  const date = toDate(value);
+  return date
+    ? date.toLocaleDateString("en-GB", { timeZone: "Europe/London", day: "numeric", month: "long", year: "numeric" })
+    : "";
+}
+
+/**
+ * VAT contained in a VAT-inclusive amount
+ */
+function vatFromGross(gross, rate) {
+  return Math.round(gross * rate / (100 + rate));
+}
+
+/**
+ * Give an order's invoice number, assigning the next one if it has none
+ */
+async function assignInvoiceNumber(orderRef) {
+  const counterRef = db.collection("counters").doc("invoices");
+
+  return db.runTransaction(async (transaction) => {
+    const [orderSnap, counterSnap] = await Promise.all([
+      transaction.get(orderRef),
+      transaction.get(counterRef)
+    ]);
+    const order = orderSnap.data();
+
+    if (order.invoiceNumber) {
+      return { invoiceNumber: order.invoiceNumber, invoiceIssuedAt: order.invoiceIssuedAt };
+    }
+
+    const sequence = counterSnap.exists ? counterSnap.data().next || 1 : 1;
+    const invoiceNumber = `${business.invoicePrefix}${String(sequence).padStart(6, "0")}`;
+    const invoiceIssuedAt = admin.firestore.Timestamp.now();
+
+    transaction.set(counterRef, { next: sequence + 1 }, { merge: true });
+    transaction.update(orderRef, { invoiceNumber, invoiceSequence: sequence, invoiceIssuedAt });
+
+    return { invoiceNumber, invoiceIssuedAt };
+  });
+}
+
+/**
+ * Brand and last4 of the card that paid, from the Stripe charge.
+ * Cached on the order after the first lookup.
+ */
+async function getCardDetails(orderRef, order) {
+  if (order.cardDetails) {
+    return order.cardDetails;
+  }
+
+  let charge = null;
+  if (order.stripeChargeId) {
+    charge = await stripe.charges.retrieve(order.stripeChargeId);
+  } else if (order.stripePaymentIntentId) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(order.stripePaymentIntentId, {
+      expand: ["latest_charge"]
+    });
+    charge = paymentIntent.latest_charge;
+  }
+
+  const card = charge?.payment_method_details?.card;
+  if (!card) {
+    return null;
+  }
+
+  const cardDetails = { brand: card.brand, last4: card.last4 };
+  await orderRef.update({ cardDetails });
+
+  return cardDetails;
+}
+
+/**
+ * VAT rates for lines priced before items carried one
+ */
+async function lookupVatRates(lines) {
+  const missing = lines.filter(line => line.vatRate == null && line.menuItemId);
+  if (missing.length === 0) {
+    return {};
+  }
+
+  const docs = await db.getAll(...missing.map(line => db.collection("menuItems").doc(line.menuItemId)));
+
+  return docs.reduce((rates, doc) => {
+    if (doc.exists && doc.data().vatRate != null) {
+      rates[doc.id] = doc.data().vatRate;
+    }
+    return rates;
+  }, {});
+}
+
+/**
+ * The chargeable lines of an order: items, then delivery
+ */
+async function buildChargeLines(orderId, order) {
+  const pricing = order.pricing || {};
+  const priced = (pricing.lineItems || []).length > 0
+    ? pricing.lineItems
+    : (order.items || []).filter(item => item.unitPrice != null).map(item => ({
+      ...item,
+      lineTotal: item.unitPrice * item.quantity
+    }));
+
+  if (priced.length === 0) {
+    // e.g. meal-plan orders, charged as one amount
+    return [{
+      description: order.mealPlanId ? "Weekly meal plan" : `Order ${orderId}`,
+      quantity: 1,
+      amount: order.totalAmount ?? pricing.total ?? 0,
+      vatRate: business.defaultVatRate,
+      // Already the amount paid, so no discount to share
+      isTotal: true
+    }];
+  }
+
+  const rates = await lookupVatRates(priced);
+  const lines = priced.map(line => ({
+    description: [
+      line.name || line.menuItemId,
+      (line.modifiers || []).map(modifier => modifier.name).filter(Boolean).join(", ")
+    ].filter(Boolean).join(" – "),
+    quantity: line.quantity,
+    amount: line.lineTotal,
+    vatRate: line.vatRate ?? rates[line.menuItemId] ?? business.defaultVatRate
+  }));
+
+  if (pricing.deliveryFee > 0) {
+    lines.push({
+      description: "Delivery",
+      quantity: 1,
+      amount: pricing.deliveryFee,
+      vatRate: business.defaultVatRate
+    });
+  }
+
+  return lines;
+}
+
+/**
+ * Share a discount across lines in proportion to their value; rounding
+ * is settled on the largest line
+ */
+function allocateDiscount(lines, discount) {
+  const gross = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (!discount || gross === 0) {
+    return lines.map(() => 0);
+  }
+
+  const shares = lines.map(line => Math.floor(discount * line.amount / gross));
+  const remainder = discount - shares.reduce((sum, share) => sum + share, 0);
+  const largest = lines.reduce((best, line, index) => (line.amount > lines[best].amount ? index : best), 0);
+  shares[largest] += remainder;
+
+  return shares;
+}
+
+/**
+ * Everything printed on an order's receipt / VAT invoice
+ */
+async function buildReceipt(orderId) {
+  const orderRef = db.collection("orders").doc(orderId);
+  const orderDoc = await orderRef.get();
+
+  if (!orderDoc.exists) {
+    throw new HttpError(404, "Order not found");
+  }
+
+  const order = orderDoc.data();
+  if (!PAID_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    throw new HttpError(409, "A receipt is only available once the order is paid");
+  }
+
+  const [invoice, chargeLines, userDoc] = await Promise.all([
+    assignInvoiceNumber(orderRef),
+    buildChargeLines(orderId, order),
+    order.userId ? db.collection("users").doc(order.userId).get() : null
+  ]);
+
+  const discount = chargeLines[0].isTotal ? 0 : order.pricing?.discount || 0;
+  const shares = allocateDiscount(chargeLines, discount);
+
+  const lines = chargeLines.map((line, index) => {
+    const gross = line.amount - shares[index];
+    const vat = vatFromGross(gross, line.vatRate);
+    return {
+      description: line.description,
+      quantity: line.quantity,
+      amount: line.amount,
+      discount: shares[index],
+      gross,
+      vatRate: line.vatRate,
+      vat,
+      net: gross - vat
+    };
+  });
+
+  const vatSummary = Object.values(lines.reduce((summary, line) => {
+    const entry = summary[line.vatRate] || { rate: line.vatRate, net: 0, vat: 0, gross: 0 };
+    entry.net += line.net;
+    entry.vat += line.vat;
+    entry.gross += line.gross;
+    summary[line.vatRate] = entry;
+    return summary;
+  }, {})).sort((a, b) => b.rate - a.rate);
+
+  const total = lines.reduce((sum, line) => sum + line.gross, 0);
+  const walletAmount = order.walletAmount || 0;
+  const cardAmount = Math.max(total - walletAmount, 0);
+  const user = userDoc?.exists ? userDoc.data() : {};
+
+  return {
+    type: business.vatNumber ? "vat_invoice" : "receipt",
+    invoiceNumber: invoice.invoiceNumber,
+    issuedAt: toDate(invoice.invoiceIssuedAt),
+    paidAt: toDate(order.paidAt),
+    orderId,
+    business,
+    customer: {
+      name: user.displayName || user.name || null,
+      email: user.email || null,
+      deliveryAddress: order.deliveryMethod === "delivery" ? order.deliveryAddress || null : null
+    },
+    lines,
+    discount,
+    vatSummary,
+    totals: {
+      net: lines.reduce((sum, line) => sum + line.net, 0),
+      vat: lines.reduce((sum, line) => sum + line.vat, 0),
+      gross: total
+    },
+    payment: {
+      walletAmount,
+      cardAmount,
+      card: cardAmount > 0 ? await getCardDetails(orderRef, order) : null
+    },
+    refundedAmount: order.refundedAmount || 0
+  };
+}
+
+function formatAddress(address) {
+  if (!address) return [];
+  if (typeof address === "string") return [address];
+  return ["line1", "line2", "city", "postcode", "postalCode"]
+    .map(field => address[field])
+    .filter(Boolean);
+}
+
+function paymentLines(receipt) {
+  const lines = [];
+  if (receipt.payment.walletAmount > 0) {
+    lines.push(["Paid from wallet", formatPence(receipt.payment.walletAmount)]);
+  }
+  if (receipt.payment.cardAmount > 0) {
+    const card = receipt.payment.card;
+    lines.push([
+      card ? `Paid by ${card.brand} •••• ${card.last4}` : "Paid by card",
+      formatPence(receipt.payment.cardAmount)
+    ]);
+  }
+  if (receipt.refundedAmount > 0) {
+    lines.push(["Refunded", `-${formatPence(receipt.refundedAmount)}`]);
+  }
+  return lines;
+}
+
+/**
+ * Receipt as a standalone HTML page
+ */
+function renderReceiptHtml(receipt) {
+  const title = receipt.type === "vat_invoice" ? "VAT invoice" : "Receipt";
+  const { business: seller, customer } = receipt;
+
+  const lineRows = receipt.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${formatPence(line.net)}</td>
+          <td class="num">${line.vatRate}%</td>
+          <td class="num">${formatPence(line.vat)}</td>
+          <td class="num">${formatPence(line.gross)}</td>
+        </tr>`).join("");
+
+  const vatRows = receipt.vatSummary.map(entry => `
+        <tr>
+          <td>VAT at ${entry.rate}%</td>
+          <td class="num">${formatPence(entry.net)}</td>
+          <td class="num">${formatPence(entry.vat)}</td>
+          <td class="num">${formatPence(entry.gross)}</td>
+        </tr>`).join("");
+
+  const paymentRows = paymentLines(receipt).map(([label, value]) => `
+        <tr><td>${escapeHtml(label)}</td><td class="num">${escapeHtml(value)}</td></tr>`).join("");
+
+  return `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>${title} ${escapeHtml(receipt.invoiceNumber)}</title>
+    <style>
+      body { font-family: Arial, sans-serif; color: #222; max-width: 760px; margin: 0 auto; padding: 32px; }
+      table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+      th, td { padding: 6px 4px; border-bottom: 1px solid #eee; text-align: left; }
+      .num { text-align: right; }
+      .parties { display: flex; justify-content: space-between; }
+      .muted { color: #777; font-size: 12px; }
+    </style>
+  </head>
+  <body>
+    <h1>${title}</h1>
+    <p>
+      <strong>${escapeHtml(receipt.invoiceNumber)}</strong><br>
+      Issued ${escapeHtml(formatDate(receipt.issuedAt))}<br>
+      Paid ${escapeHtml(formatDate(receipt.paidAt))}<br>
+      Order ${escapeHtml(receipt.orderId)}
+    </p>
+    <div class="parties">
+      <div>
+        <strong>${escapeHtml(seller.legalName)}</strong><br>
+        ${seller.address.map(escapeHtml).join("<br>")}${seller.address.length ? "<br>" : ""}
+        ${escapeHtml(seller.email)}<br>
+        ${seller.vatNumber ? `VAT no. ${escapeHtml(seller.vatNumber)}<br>` : ""}
+        ${seller.companyNumber ? `Company no. ${escapeHtml(seller.companyNumber)}` : ""}
+      </div>
+      <div>
+        <strong>Billed to</strong><br>
+        ${[customer.name, customer.email, ...formatAddress(customer.deliveryAddress)].filter(Boolean).map(escapeHtml).join("<br>")}
+      </div>
+    </div>
+    <table>
+      <thead>
+        <tr><th>Item</th><th class="num">Qty</th><th class="num">Net</th><th class="num">VAT rate</th><th class="num">VAT</th><th class="num">Total</th></tr>
+      </thead>
+      <tbody>${lineRows}
+      </tbody>
+    </table>
+    ${receipt.discount > 0 ? `<p class="muted">Includes a discount of ${formatPence(receipt.discount)}, shared across the lines above.</p>` : ""}
+    <table>
+      <thead>
+        <tr><th>VAT summary</th><th class="num">Net</th><th class="num">VAT</th><th class="num">Total</th></tr>
+      </thead>
+      <tbody>${vatRows}
+        <tr><th>Total</th><th class="num">${formatPence(receipt.totals.net)}</th><th class="num">${formatPence(receipt.totals.vat)}</th><th class="num">${formatPence(receipt.totals.gross)}</th></tr>
+      </tbody>
+    </table>
+    <table>
+      <tbody>${paymentRows}
+      </tbody>
+    </table>
+  </body>
+</html>`;
+}
+
+/**
+ * Receipt as a PDF, resolved as a Buffer
+ */
+function renderReceiptPdf(receipt) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", chunk => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const title = receipt.type === "vat_invoice" ? "VAT invoice" : "Receipt";
+    const { business: seller, customer } = receipt;
+    const right = (text, y, width = 90, x = 455) => doc.text(text, x, y, { width, align: "right" });
+
+    doc.fontSize(20).text(title);
+    doc.moveDown(0.5).fontSize(10)
+      .text(receipt.invoiceNumber)
+      .text(`Issued ${formatDate(receipt.issuedAt)}`)
+      .text(`Paid ${formatDate(receipt.paidAt)}`)
+      .text(`Order ${receipt.orderId}`);
+
+    const partiesTop = doc.y + 15;
+    doc.text(seller.legalName, 50, partiesTop);
+    [...seller.address, seller.email].forEach(line => doc.text(line));
+    if (seller.vatNumber) doc.text(`VAT no. ${seller.vatNumber}`);
+    if (seller.companyNumber) doc.text(`Company no. ${seller.companyNumber}`);
+    const sellerBottom = doc.y;
+
+    doc.text("Billed to", 320, partiesTop);
+    [customer.name, customer.email, ...formatAddress(customer.deliveryAddress)]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, 320));
+
+    let y = Math.max(sellerBottom, doc.y) + 25;
+    doc.font("Helvetica-Bold");
+    doc.text("Item", 50, y);
+    right("Qty", y, 30, 250);
+    right("Net", y, 60, 285);
+    right("VAT rate", y, 50, 350);
+    right("VAT", y, 50, 405);
+    right("Total", y);
+    doc.font("Helvetica");
+
+    receipt.lines.forEach((line) => {
+      y = doc.y + 8;
+      doc.text(line.description, 50, y, { width: 190 });
+      const next = doc.y;
+      right(String(line.quantity), y, 30, 250);
+      right(formatPence(line.net), y, 60, 285);
+      right(`${line.vatRate}%`, y, 50, 350);
+      right(formatPence(line.vat), y, 50, 405);
+      right(formatPence(line.gross), y);
+      doc.y = next;
+    });
+
+    y = doc.y + 20;
+    receipt.vatSummary.forEach((entry) => {
+      doc.text(`VAT at ${entry.rate}% on ${formatPence(entry.net)}`, 50, y);
+      right(formatPence(entry.vat), y);
+      y = doc.y + 4;
+    });
+
+    doc.font("Helvetica-Bold");
+    doc.text("Total (inc. VAT)", 50, y + 6);
+    right(formatPence(receipt.totals.gross), y + 6);
+    doc.font("Helvetica");
+
+    y = doc.y + 16;
+    paymentLines(receipt).forEach(([label, value]) => {
+      doc.text(label, 50, y);
+      right(value, y);
+      y = doc.y + 4;
+    });
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf
+};
@@ -0,0 +1,455 @@
+const Stripe = require("stripe");
+const { db, admin } = require("../config/firebase");
+const { orderHoldReference } = require("./wallet");
+const { PAID_PAYMENT_STATUSES } = require("./orders");
+const { processStripeEvent } = require("./stripeEventHandlers");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Stripe ↔ Firestore reconciliation
+ *
+ * Pages through the PaymentIntents and balance transactions created in a
+ * date range and checks each against its order, wallet ledger, gift card
+ * purchase or refund record. Every mismatch is reported. With `fix`, the
+ * safe ones are repaired by replaying the Stripe object through the same
+ * webhook handler that should have processed it; those handlers are
+ * idempotent, so a fix that races a late webhook does no harm. Anything
+ * that would need money moving (duplicate payments, double credits,
+ * amounts that don't match) is only reported.
+ */
+
+// Firestore payment statuses that mean the order was never paid
+const UNPAID_PAYMENT_STATUSES = ["pending", "failed"];
+
+// Keeps a stored run well under Firestore's 1 MiB document limit
+const MAX_STORED_MISMATCHES = 500;
+
+function toUnix(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+function mismatch(type, details = {}) {
+  return {
+    type,
+    stripeId: details.stripeId || null,
+    orderId: details.orderId || null,
+    userId: details.userId || null,
+    message: details.message,
+    fix: details.fix || null,
+    fixed: false,
+    fixError: null
+  };
+}
+
+/**
+ * A fix: the event to replay through the webhook's handlers
+ */
+function replay(type, object) {
+  return { type, object };
+}
+
+async function getDoc(collection, id) {
+  if (!id) return null;
+  const doc = await db.collection(collection).doc(id).get();
+  return doc.exists ? doc.data() : null;
+}
+
+// =========================
+// PAYMENT INTENTS
+// =========================
+
+async function checkOrderPayment(paymentIntent) {
+  const { orderId, userId } = paymentIntent.metadata;
+  const order = await getDoc("orders", orderId);
+  const found = [];
+  const ids = { stripeId: paymentIntent.id, orderId, userId };
+
+  if (!order) {
+    if (paymentIntent.status === "succeeded") {
+      found.push(mismatch("orphaned_intent", {
+        ...ids,
+        message: `Payment succeeded for order ${orderId}, which doesn't exist`
+      }));
+    }
+    return found;
+  }
+
+  const isCurrentAttempt = !order.pendingPaymentIntentId || order.pendingPaymentIntentId === paymentIntent.id;
+
+  if (paymentIntent.status === "succeeded") {
+    // Includes captured pre-orders still marked authorized
+    if (
+      [...UNPAID_PAYMENT_STATUSES, "authorized"].includes(order.paymentStatus || "pending") &&
+      order.orderStatus !== "cancelled"
+    ) {
+      // Checkout payments are finalized from their session
+      let fix = replay("payment_intent.succeeded", paymentIntent);
+      if (paymentIntent.metadata.source === "checkout") {
+        const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntent.id, limit: 1 });
+        fix = sessions.data[0] ? replay("checkout.session.completed", sessions.data[0]) : null;
+      }
+
+      found.push(mismatch("paid_in_stripe_pending_in_firestore", {
+        ...ids,
+        message: `Stripe took payment but the order is ${order.paymentStatus || "pending"}`,
+        fix
+      }));
+    } else if (order.orderStatus === "cancelled" && !PAID_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      found.push(mismatch("paid_in_stripe_cancelled_in_firestore", {
+        ...ids,
+        message: "Stripe took payment for a cancelled order; it needs refunding"
+      }));
+    } else if (order.duplicatePayments?.[paymentIntent.id]) {
+      // Paid twice and already refunded by the webhook
+    } else if (PAID_PAYMENT_STATUSES.includes(order.paymentStatus) && order.stripePaymentIntentId !== paymentIntent.id) {
+      found.push(mismatch("duplicate_payment", {
+        ...ids,
+        message: `Order was already paid by ${order.stripePaymentIntentId}`
+      }));
+    } else if (order.paymentStatus === "partially_paid") {
+      found.push(mismatch("wallet_shortfall", {
+        ...ids,
+        message: `Card was charged but the wallet couldn't cover ${order.walletShortfall || "its part"}`
+      }));
+    } else {
+      const cardAmount = (order.totalAmount ?? 0) - (order.walletAmount || 0);
+      if (paymentIntent.amount_received !== cardAmount) {
+        found.push(mismatch("amount_mismatch", {
+          ...ids,
+          message: `Stripe received ${paymentIntent.amount_received}, the order expects ${cardAmount} on card`
+        }));
+      }
+
+      if (order.walletAmount > 0 && userId) {
+        const capture = await db.collection("users").doc(userId)
+          .collection("walletLedger").doc(`capture_${orderHoldReference(orderId)}`).get();
+        if (!capture.exists) {
+          found.push(mismatch("wallet_not_captured", {
+            ...ids,
+            message: `Order is paid but the ${order.walletAmount} wallet part was never captured`
+          }));
+        }
+      }
+    }
+  } else if (
+    paymentIntent.status === "requires_capture" &&
+    isCurrentAttempt &&
+    UNPAID_PAYMENT_STATUSES.includes(order.paymentStatus || "pending") &&
+    order.orderStatus !== "cancelled"
+  ) {
+    found.push(mismatch("authorized_in_stripe_pending_in_firestore", {
+      ...ids,
+      message: "Stripe authorized the pre-order but the order is still pending",
+      fix: replay("payment_intent.amount_capturable_updated", paymentIntent)
+    }));
+  } else if (
+    paymentIntent.status === "requires_payment_method" &&
+    paymentIntent.last_payment_error &&
+    isCurrentAttempt &&
+    order.paymentStatus === "pending"
+  ) {
+    found.push(mismatch("failed_in_stripe_pending_in_firestore", {
+      ...ids,
+      message: "Payment failed in Stripe but the order is still pending",
+      fix: replay("payment_intent.payment_failed", paymentIntent)
+    }));
+  } else if (paymentIntent.status === "canceled" && isCurrentAttempt && userId) {
+    const user = await getDoc("users", userId);
+    if (user?.walletHolds?.[orderHoldReference(orderId)] && order.paymentStatus !== "paid") {
+      found.push(mismatch("hold_not_released", {
+        ...ids,
+        message: "Payment was canceled but its wallet hold is still active",
+        fix: replay("payment_intent.canceled", paymentIntent)
+      }));
+    }
+  }
+
+  if (
+    PAID_PAYMENT_STATUSES.includes(order.paymentStatus) &&
+    order.stripePaymentIntentId === paymentIntent.id &&
+    paymentIntent.status !== "succeeded"
+  ) {
+    found.push(mismatch("paid_in_firestore_not_in_stripe", {
+      ...ids,
+      message: `Order is ${order.paymentStatus} but the PaymentIntent is ${paymentIntent.status}`
+    }));
+  }
+
+  return found;
+}
+
+async function checkWalletTopUp(paymentIntent) {
+  const { userId } = paymentIntent.metadata;
+  const ids = { stripeId: paymentIntent.id, userId };
+
+  if (paymentIntent.status !== "succeeded") {
+    return [];
+  }
+
+  if (!userId) {
+    return [mismatch("orphaned_intent", { ...ids, message: "Wallet top-up has no userId" })];
+  }
+
+  if (paymentIntent.currency !== "gbp") {
+    return [mismatch("top_up_wrong_currency", {
+      ...ids,
+      message: `Top-up of ${paymentIntent.amount_received} ${paymentIntent.currency.toUpperCase()} wasn't credited; wallets are GBP`
+    })];
+  }
+
+  const credits = await db.collection("users").doc(userId)
+    .collection("walletLedger")
+    .where("reference", "==", paymentIntent.id)
+    .get();
+  const topUps = credits.docs.filter(doc => doc.data().type === "top_up");
+
+  if (topUps.length === 0) {
+    return [mismatch("top_up_not_credited", {
+      ...ids,
+      message: `Top-up of ${paymentIntent.amount_received} was never credited to the wallet`,
+      fix: replay("payment_intent.succeeded", paymentIntent)
+    })];
+  }
+
+  if (topUps.length > 1) {
+    return [mismatch("double_wallet_credit", {
+      ...ids,
+      message: `Top-up was credited ${topUps.length} times (${topUps.map(doc => doc.id).join(", ")})`
+    })];
+  }
+
+  return [];
+}
+
+async function checkGiftCardPurchase(paymentIntent) {
+  const { purchaseId } = paymentIntent.metadata;
+  const ids = { stripeId: paymentIntent.id, userId: paymentIntent.metadata.userId };
+
+  if (paymentIntent.status !== "succeeded") {
+    return [];
+  }
+
+  const purchase = await getDoc("giftCardPurchases", purchaseId);
+
+  if (!purchase) {
+    return [mismatch("orphaned_intent", { ...ids, message: `Gift card purchase ${purchaseId} doesn't exist` })];
+  }
+
+  if (!purchase.code) {
+    return [mismatch("gift_card_not_issued", {
+      ...ids,
+      message: `Gift card purchase ${purchaseId} was paid but no code was issued`,
+      fix: replay("payment_intent.succeeded", paymentIntent)
+    })];
+  }
+
+  return [];
+}
+
+/**
+ * Succeeded PaymentIntents without our metadata, e.g. meal-plan invoices,
+ * must belong to some order
+ */
+async function checkUnlabelledIntent(paymentIntent) {
+  if (paymentIntent.status !== "succeeded") {
+    return [];
+  }
+
+  const orders = await db.collection("orders")
+    .where("stripePaymentIntentId", "==", paymentIntent.id)
+    .limit(1)
+    .get();
+
+  if (orders.empty) {
+    return [mismatch("orphaned_intent", {
+      stripeId: paymentIntent.id,
+      message: `Payment of ${paymentIntent.amount_received} isn't linked to any order`
+    })];
+  }
+
+  return [];
+}
+
+function checkPaymentIntent(paymentIntent) {
+  const metadata = paymentIntent.metadata || {};
+
+  if (metadata.type === "wallet_top_up") return checkWalletTopUp(paymentIntent);
+  if (metadata.type === "gift_card") return checkGiftCardPurchase(paymentIntent);
+  if (metadata.orderId) return checkOrderPayment(paymentIntent);
+  return checkUnlabelledIntent(paymentIntent);
+}
+
+// =========================
+// BALANCE TRANSACTIONS
+// =========================
+
+async function findOrderIdForRefund(refund) {
+  if (refund.metadata?.orderId) {
+    return refund.metadata.orderId;
+  }
+
+  if (refund.payment_intent) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(refund.payment_intent);
+    if (paymentIntent.metadata?.orderId) {
+      return paymentIntent.metadata.orderId;
+    }
+  }
+
+  const orders = await db.collection("orders")
+    .where("stripeChargeId", "==", refund.charge)
+    .limit(1)
+    .get();
+
+  return orders.empty ? null : orders.docs[0].id;
+}
+
+/**
+ * Every refund in Stripe should have a record under its order
+ */
+async function checkRefund(refund) {
+  const orderId = await findOrderIdForRefund(refund);
+
+  // Duplicate payment refunds are recorded on the order, not as refunds
+  if (!orderId || refund.metadata?.duplicatePayment) {
+    return [];
+  }
+
+  const recordId = refund.metadata?.refundRecordId || `stripe_${refund.id}`;
+  const record = await db.collection("orders").doc(orderId).collection("refunds").doc(recordId).get();
+
+  if (!record.exists) {
+    return [mismatch("refund_not_recorded", {
+      stripeId: refund.id,
+      orderId,
+      message: `Refund of ${refund.amount} isn't recorded against the order`,
+      fix: replay("refund.updated", refund)
+    })];
+  }
+
+  if (record.data().status !== refund.status) {
+    return [mismatch("refund_status_mismatch", {
+      stripeId: refund.id,
+      orderId,
+      message: `Refund is ${refund.status} in Stripe but ${record.data().status} in Firestore`,
+      fix: replay("refund.updated", refund)
+    })];
+  }
+
+  return [];
+}
+
+// =========================
+// RUN
+// =========================
+
+async function applyFix(found) {
+  try {
+    await processStripeEvent({
+      id: `reconcile_${found.type}_${found.stripeId}`,
+      type: found.fix.type,
+      data: { object: found.fix.object }
+    });
+    found.fixed = true;
+    console.log(`✅ Fixed ${found.type} for ${found.stripeId}`);
+  } catch (error) {
+    found.fixError = error.message;
+    console.error(`❌ Could not fix ${found.type} for ${found.stripeId}:`, error.message);
+  }
+}
+
+/**
+ * Compare Stripe with Firestore for everything created from `from` up to
+ * `to`, fixing the safe mismatches when `fix` is set. The run is stored in
+ * reconciliationRuns.
+ */
+async function reconcile({ from, to, fix = false } = {}) {
+  const created = { gte: toUnix(from), lt: toUnix(to) };
+  const mismatches = [];
+  const totals = {
+    paymentIntents: 0,
+    stripe: { charges: 0, refunds: 0, fees: 0, net: 0 }
+  };
+
+  for await (const paymentIntent of stripe.paymentIntents.list({ created, limit: 100 })) {
+    totals.paymentIntents++;
+    mismatches.push(...await checkPaymentIntent(paymentIntent));
+  }
+
+  for await (const balanceTransaction of stripe.balanceTransactions.list({
+    created,
+    limit: 100,
+    expand: ["data.source"]
+  })) {
+    totals.stripe.fees += balanceTransaction.fee;
+    totals.stripe.net += balanceTransaction.net;
+
+    if (["charge", "payment"].includes(balanceTransaction.type)) {
+      totals.stripe.charges += balanceTransaction.amount;
+    } else if (["refund", "payment_refund"].includes(balanceTransaction.type)) {
+      totals.stripe.refunds += -balanceTransaction.amount;
+      if (balanceTransaction.source?.object === "refund") {
+        mismatches.push(...await checkRefund(balanceTransaction.source));
+      }
+    }
+  }
+
+  if (fix) {
+    for (const found of mismatches.filter(item => item.fix)) {
+      await applyFix(found);
+    }
+  }
+
+  const summary = mismatches.reduce((counts, item) => {
+    counts[item.type] = (counts[item.type] || 0) + 1;
+    return counts;
+  }, {});
+
+  const report = {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    fix,
+    totals,
+    summary,
+    mismatches: mismatches.map(({ fix: fixEvent, ...item }) => ({
+      ...item,
+      fixable: Boolean(fixEvent)
+    }))
+  };
+
+  const runRef = await db.collection("reconciliationRuns").add({
+    ...report,
+    mismatches: report.mismatches.slice(0, MAX_STORED_MISMATCHES),
+    truncated: report.mismatches.length > MAX_STORED_MISMATCHES,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return { id: runRef.id, ...report };
+}
+
+/**
+ * Reconcile the last `days` days, fixing what is safe (the nightly job)
+ */
+async function reconcileRecent({ days = 2, fix = true } = {}) {
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+  return reconcile({ from, to, fix });
+}
+
+/**
+ * Stored reconciliation runs, newest first
+ */
+async function listReconciliationRuns({ limit = 20 } = {}) {
+  const snapshot = await db.collection("reconciliationRuns")
+    .orderBy("createdAt", "desc")
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  reconcile,
+  reconcileRecent,
+  listReconciliationRuns
+};
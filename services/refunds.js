@@ -0,0 +1,337 @@
+const Stripe = require("stripe");
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { creditWallet } = require("./wallet");
+const { notify } = require("./notifications");
+const { syncOrderPointsWithRefunds } = require("./loyalty");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Refund records in these states count towards the refunded total
+const COUNTED_REFUND_STATUSES = ["pending", "requires_action", "succeeded"];
+
+// Payment statuses an order can be refunded from
+const REFUNDABLE_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+
+function refundsCollection(orderId) {
+  return db.collection("orders").doc(orderId).collection("refunds");
+}
+
+/**
+ * How much of an order was paid, split by wallet and card (in pence)
+ */
+function getPaidAmounts(order) {
+  const total = order.totalAmount ?? order.pricing?.total ?? 0;
+  const wallet = order.walletAmount || 0;
+
+  return { total, wallet, card: Math.max(total - wallet, 0) };
+}
+
+/**
+ * Sum refund records into the totals stored on the order
+ */
+function summarizeRefunds(order, refundDocs) {
+  let cardRefundedAmount = 0;
+  let walletRefundedAmount = 0;
+
+  refundDocs.forEach((doc) => {
+    const refund = doc.data();
+    if (COUNTED_REFUND_STATUSES.includes(refund.status)) {
+      cardRefundedAmount += refund.cardAmount || 0;
+      walletRefundedAmount += refund.walletAmount || 0;
+    }
+  });
+
+  const refundedAmount = cardRefundedAmount + walletRefundedAmount;
+  const { total } = getPaidAmounts(order);
+
+  let paymentStatus = order.paymentStatus;
+  if (REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus) || order.paymentStatus === "refunded") {
+    if (refundedAmount <= 0) {
+      paymentStatus = "paid";
+    } else {
+      paymentStatus = refundedAmount >= total ? "refunded" : "partially_refunded";
+    }
+  }
+
+  return {
+    refundedAmount,
+    cardRefundedAmount,
+    walletRefundedAmount,
+    paymentStatus
+  };
+}
+
+/**
+ * Recompute an order's refund totals from its refund records,
+ * then adjust the loyalty points earned on it to match
+ */
+async function syncOrderRefundTotals(orderId) {
+  const orderRef = db.collection("orders").doc(orderId);
+
+  const totals = await db.runTransaction(async (transaction) => {
+    const [orderSnap, refundsSnap] = await Promise.all([
+      transaction.get(orderRef),
+      transaction.get(refundsCollection(orderId))
+    ]);
+
+    if (!orderSnap.exists) {
+      throw new HttpError(404, "Order not found");
+    }
+
+    const totals = summarizeRefunds(orderSnap.data(), refundsSnap.docs);
+
+    transaction.update(orderRef, {
+      ...totals,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return totals;
+  });
+
+  await syncOrderPointsWithRefunds(orderId);
+
+  return totals;
+}
+
+/**
+ * Issue a full or partial refund for a paid order.
+ *
+ * destination "original" sends the card-paid part back to the card and the
+ * rest (the wallet-paid part of a hybrid payment) back to the wallet;
+ * destination "wallet" gives the whole amount as store credit.
+ * Without an amount, everything not yet refunded is refunded.
+ */
+async function createOrderRefund(orderId, { amount, destination = "original", reason = null, requestedBy = null } = {}) {
+  if (!["original", "wallet"].includes(destination)) {
+    throw new HttpError(400, "Invalid refund destination");
+  }
+
+  const orderRef = db.collection("orders").doc(orderId);
+  const refundRef = refundsCollection(orderId).doc();
+
+  // =========================
+  // RESERVE THE REFUND AMOUNT
+  // =========================
+  const { order, refund } = await db.runTransaction(async (transaction) => {
+    const [orderSnap, refundsSnap] = await Promise.all([
+      transaction.get(orderRef),
+      transaction.get(refundsCollection(orderId))
+    ]);
+
+    if (!orderSnap.exists) {
+      throw new HttpError(404, "Order not found");
+    }
+
+    const order = orderSnap.data();
+
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      throw new HttpError(409, `Order cannot be refunded (payment status: ${order.paymentStatus})`);
+    }
+
+    const paid = getPaidAmounts(order);
+    const current = summarizeRefunds(order, refundsSnap.docs);
+    const refundable = paid.total - current.refundedAmount;
+    const refundAmount = amount == null ? refundable : amount;
+
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+      throw new HttpError(400, `Invalid refund amount (refundable: ${refundable})`);
+    }
+
+    let cardAmount = 0;
+    if (destination === "original") {
+      cardAmount = Math.min(refundAmount, paid.card - current.cardRefundedAmount);
+    }
+    const walletAmount = refundAmount - cardAmount;
+
+    if (cardAmount > 0 && !order.stripeChargeId && !order.stripePaymentIntentId) {
+      throw new HttpError(409, "Order has no Stripe charge to refund");
+    }
+
+    const refund = {
+      amount: refundAmount,
+      cardAmount,
+      walletAmount,
+      destination,
+      reason,
+      status: "pending",
+      walletCredited: false,
+      stripeRefundId: null,
+      source: "api",
+      requestedBy,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    transaction.set(refundRef, refund);
+    transaction.update(orderRef, {
+      ...summarizeRefunds(order, [...refundsSnap.docs, { data: () => refund }]),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { order, refund };
+  });
+
+  // =========================
+  // REFUND TO CARD
+  // =========================
+  let stripeRefund = null;
+  if (refund.cardAmount > 0) {
+    try {
+      const params = {
+        amount: refund.cardAmount,
+        metadata: {
+          orderId,
+          refundRecordId: refundRef.id,
+          userId: order.userId || ""
+        }
+      };
+
+      if (order.stripeChargeId) {
+        params.charge = order.stripeChargeId;
+      } else {
+        params.payment_intent = order.stripePaymentIntentId;
+      }
+
+      stripeRefund = await stripe.refunds.create(params, {
+        idempotencyKey: `refund_${refundRef.id}`
+      });
+    } catch (error) {
+      console.error("❌ Stripe refund failed:", error);
+      await refundRef.update({
+        status: "failed",
+        error: error.message,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await syncOrderRefundTotals(orderId);
+      throw new HttpError(502, `Card refund failed: ${error.message}`);
+    }
+  }
+
+  // =========================
+  // REFUND TO WALLET
+  // =========================
+  if (refund.walletAmount > 0) {
+    await creditWallet(order.userId, refund.walletAmount, {
+      entryId: `refund_${refundRef.id}`,
+      type: "refund_credit",
+      description: `Refund for order ${orderId}`,
+      reference: orderId,
+      metadata: { orderId, refundRecordId: refundRef.id }
+    });
+  }
+
+  const refundUpdate = {
+    status: stripeRefund ? stripeRefund.status : "succeeded",
+    stripeRefundId: stripeRefund ? stripeRefund.id : null,
+    walletCredited: refund.walletAmount > 0,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  await refundRef.update(refundUpdate);
+  const totals = await syncOrderRefundTotals(orderId);
+
+  console.log(`✅ Refund ${refundRef.id} for order ${orderId}:`, {
+    cardAmount: refund.cardAmount,
+    walletAmount: refund.walletAmount,
+    status: refundUpdate.status
+  });
+
+  await notify(order.userId, "refund_issued", {
+    orderId,
+    amount: refund.amount,
+    cardAmount: refund.cardAmount,
+    walletAmount: refund.walletAmount,
+    reason: refund.reason
+  }, {
+    dedupeKey: `refund_issued_${refundRef.id}`
+  });
+
+  return {
+    id: refundRef.id,
+    amount: refund.amount,
+    cardAmount: refund.cardAmount,
+    walletAmount: refund.walletAmount,
+    destination: refund.destination,
+    reason: refund.reason,
+    status: refundUpdate.status,
+    stripeRefundId: refundUpdate.stripeRefundId,
+    walletCredited: refundUpdate.walletCredited,
+    totals
+  };
+}
+
+/**
+ * Record the current state of a Stripe refund against its order.
+ * Refunds issued from the Stripe dashboard get a record of their own.
+ */
+async function recordStripeRefund(orderId, stripeRefund) {
+  const recordId = stripeRefund.metadata?.refundRecordId || `stripe_${stripeRefund.id}`;
+  const refundRef = refundsCollection(orderId).doc(recordId);
+
+  const isNew = await db.runTransaction(async (transaction) => {
+    const refundSnap = await transaction.get(refundRef);
+
+    if (refundSnap.exists) {
+      transaction.update(refundRef, {
+        status: stripeRefund.status,
+        stripeRefundId: stripeRefund.id,
+        failureReason: stripeRefund.failure_reason || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return false;
+    }
+
+    transaction.set(refundRef, {
+      amount: stripeRefund.amount,
+      cardAmount: stripeRefund.amount,
+      walletAmount: 0,
+      destination: "original",
+      reason: stripeRefund.reason || null,
+      status: stripeRefund.status,
+      walletCredited: false,
+      stripeRefundId: stripeRefund.id,
+      source: "stripe",
+      requestedBy: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+
+  const totals = await syncOrderRefundTotals(orderId);
+
+  // Refunds made in the Stripe dashboard get the same email as ours
+  if (isNew && COUNTED_REFUND_STATUSES.includes(stripeRefund.status)) {
+    const orderDoc = await db.collection("orders").doc(orderId).get();
+    await notify(orderDoc.data()?.userId, "refund_issued", {
+      orderId,
+      amount: stripeRefund.amount,
+      cardAmount: stripeRefund.amount,
+      walletAmount: 0,
+      reason: stripeRefund.reason || null
+    }, {
+      dedupeKey: `refund_issued_${recordId}`
+    });
+  }
+
+  return totals;
+}
+
+/**
+ * Refund records for an order, newest first
+ */
+async function listOrderRefunds(orderId) {
+  const snapshot = await refundsCollection(orderId)
+    .orderBy("createdAt", "desc")
+    .get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  COUNTED_REFUND_STATUSES,
+  createOrderRefund,
+  recordStripeRefund,
+  listOrderRefunds
+};
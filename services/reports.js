@@ -0,0 +1,294 @@
+const { db } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { toUkTime } = require("../utils/ukTime");
+const { toCsv } = require("../utils/csv");
+const { PAID_PAYMENT_STATUSES } = require("./orders");
+const { COUNTED_REFUND_STATUSES } = require("./refunds");
+
+/**
+ * Sales reports
+ *
+ * Built from Firestore: orders count on the UK date they were paid,
+ * refunds on the UK date they were made. Wallet top-ups and gift-card
+ * sales are money held for customers, not sales, so they aren't included;
+ * spending it shows up as wallet redemptions. All amounts are in pence.
+ *
+ * Refunds are read with a collection-group query on createdAt, which
+ * needs the single-field collection-group index on refunds.createdAt.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+const GROUP_BY = ["day", "week", "month"];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate();
+  return new Date(value);
+}
+
+function parseDate(value, field) {
+  if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw new HttpError(400, `${field} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Validate a report's date range (UK dates, both inclusive).
+ * Defaults to the last 30 days.
+ */
+function resolveRange({ from, to, groupBy = "day" } = {}) {
+  const today = toUkTime(new Date()).date;
+  const end = to ? parseDate(to, "to") : today;
+  const start = from ? parseDate(from, "from") : addDays(end, -29);
+
+  if (start > end) {
+    throw new HttpError(400, "from must be on or before to");
+  }
+
+  if (Date.parse(end) - Date.parse(start) >= MAX_RANGE_DAYS * DAY_MS) {
+    throw new HttpError(400, `The range can be at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new HttpError(400, `groupBy must be one of: ${GROUP_BY.join(", ")}`);
+  }
+
+  return { from: start, to: end, groupBy };
+}
+
+/**
+ * The period a UK date falls in: the day itself, the Monday starting its
+ * week, or its month
+ */
+function periodKey(date, groupBy) {
+  if (groupBy === "month") {
+    return date.slice(0, 7);
+  }
+
+  if (groupBy === "week") {
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return addDays(date, -((weekday + 6) % 7));
+  }
+
+  return date;
+}
+
+function emptyPeriod(period) {
+  return {
+    period,
+    orders: 0,
+    itemSales: 0,
+    deliveryFees: 0,
+    discounts: 0,
+    grossTakings: 0,
+    cardRevenue: 0,
+    walletRedemptions: 0,
+    refunds: 0,
+    cardRefunds: 0,
+    walletRefunds: 0,
+    netTakings: 0,
+    averageOrderValue: 0
+  };
+}
+
+/**
+ * Paid orders and refunds whose UK date falls in the range. Firestore is
+ * queried a day wider each side and then filtered, since UK midnight isn't
+ * UTC midnight for half the year.
+ */
+async function loadRange({ from, to }) {
+  const start = new Date(`${addDays(from, -1)}T00:00:00Z`);
+  const end = new Date(`${addDays(to, 2)}T00:00:00Z`);
+  const inRange = date => date >= from && date <= to;
+
+  const [orderSnap, refundSnap] = await Promise.all([
+    db.collection("orders")
+      .where("paidAt", ">=", start)
+      .where("paidAt", "<", end)
+      .get(),
+    db.collectionGroup("refunds")
+      .where("createdAt", ">=", start)
+      .where("createdAt", "<", end)
+      .get()
+  ]);
+
+  const orders = orderSnap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(order => PAID_PAYMENT_STATUSES.includes(order.paymentStatus))
+    .map(order => ({ ...order, ukDate: toUkTime(toDate(order.paidAt)).date }))
+    .filter(order => inRange(order.ukDate));
+
+  const refunds = refundSnap.docs
+    .filter(doc => doc.ref.parent.parent?.parent.id === "orders")
+    .map(doc => ({ id: doc.id, orderId: doc.ref.parent.parent.id, ...doc.data() }))
+    .filter(refund => COUNTED_REFUND_STATUSES.includes(refund.status))
+    .map(refund => ({ ...refund, ukDate: toUkTime(toDate(refund.createdAt)).date }))
+    .filter(refund => inRange(refund.ukDate));
+
+  return { orders, refunds };
+}
+
+function addOrder(totals, order) {
+  const pricing = order.pricing || {};
+  const total = order.totalAmount ?? pricing.total ?? 0;
+  const wallet = order.walletAmount || 0;
+
+  totals.orders++;
+  totals.itemSales += pricing.subtotal ?? total;
+  totals.deliveryFees += pricing.deliveryFee || 0;
+  totals.discounts += pricing.discount || 0;
+  totals.grossTakings += total;
+  totals.walletRedemptions += wallet;
+  totals.cardRevenue += Math.max(total - wallet, 0);
+}
+
+function addRefund(totals, refund) {
+  totals.refunds += refund.amount || 0;
+  totals.cardRefunds += refund.cardAmount || 0;
+  totals.walletRefunds += refund.walletAmount || 0;
+}
+
+function finish(totals) {
+  totals.netTakings = totals.grossTakings - totals.refunds;
+  totals.averageOrderValue = totals.orders > 0 ? Math.round(totals.grossTakings / totals.orders) : 0;
+  return totals;
+}
+
+/**
+ * Best sellers by quantity, from the priced lines of each order
+ */
+function rankItems(orders, limit) {
+  const items = {};
+
+  orders.forEach((order) => {
+    const lines = order.pricing?.lineItems?.length ? order.pricing.lineItems : order.items || [];
+
+    lines.forEach((line) => {
+      const key = line.menuItemId || line.name;
+      if (!key) return;
+
+      const item = items[key] || { menuItemId: line.menuItemId || null, name: line.name || null, quantity: 0, revenue: 0, orders: 0 };
+      item.quantity += line.quantity || 0;
+      item.revenue += line.lineTotal ?? (line.unitPrice || 0) * (line.quantity || 0);
+      item.orders++;
+      items[key] = item;
+    });
+  });
+
+  return Object.values(items)
+    .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue)
+    .slice(0, limit);
+}
+
+/**
+ * Takings per period with totals and the best-selling items
+ */
+async function getSalesReport(options = {}) {
+  const range = resolveRange(options);
+  const { orders, refunds } = await loadRange(range);
+
+  // Every period in the range, so quiet days show as zero
+  const periods = {};
+  for (let date = range.from; date <= range.to; date = addDays(date, 1)) {
+    const key = periodKey(date, range.groupBy);
+    periods[key] = periods[key] || emptyPeriod(key);
+  }
+
+  const totals = emptyPeriod("total");
+
+  orders.forEach((order) => {
+    addOrder(periods[periodKey(order.ukDate, range.groupBy)], order);
+    addOrder(totals, order);
+  });
+
+  refunds.forEach((refund) => {
+    addRefund(periods[periodKey(refund.ukDate, range.groupBy)], refund);
+    addRefund(totals, refund);
+  });
+
+  return {
+    ...range,
+    periods: Object.values(periods).map(finish),
+    totals: finish(totals),
+    topItems: rankItems(orders, 10)
+  };
+}
+
+/**
+ * The best-selling items over a date range
+ */
+async function getTopItemsReport({ limit = 20, ...options } = {}) {
+  const range = resolveRange(options);
+  const { orders } = await loadRange(range);
+
+  return {
+    from: range.from,
+    to: range.to,
+    items: rankItems(orders, limit)
+  };
+}
+
+// Pence as pounds for spreadsheets, e.g. 1250 -> "12.50"
+function toPounds(amount) {
+  return ((amount || 0) / 100).toFixed(2);
+}
+
+const SALES_COLUMNS = [
+  { key: "period", label: "Period" },
+  { key: "orders", label: "Orders" },
+  { key: "itemSales", label: "Item sales", money: true },
+  { key: "deliveryFees", label: "Delivery fees", money: true },
+  { key: "discounts", label: "Discounts", money: true },
+  { key: "grossTakings", label: "Gross takings", money: true },
+  { key: "cardRevenue", label: "Card revenue", money: true },
+  { key: "walletRedemptions", label: "Wallet redemptions", money: true },
+  { key: "refunds", label: "Refunds", money: true },
+  { key: "cardRefunds", label: "Card refunds", money: true },
+  { key: "walletRefunds", label: "Wallet refunds", money: true },
+  { key: "netTakings", label: "Net takings", money: true },
+  { key: "averageOrderValue", label: "Average order value", money: true }
+];
+
+const TOP_ITEMS_COLUMNS = [
+  { key: "menuItemId", label: "Menu item ID" },
+  { key: "name", label: "Item" },
+  { key: "quantity", label: "Quantity sold" },
+  { key: "orders", label: "Orders" },
+  { key: "revenue", label: "Revenue", money: true }
+];
+
+function toCsvRows(columns, rows) {
+  return rows.map(row => columns.reduce((csvRow, column) => {
+    csvRow[column.key] = column.money ? toPounds(row[column.key]) : row[column.key];
+    return csvRow;
+  }, {}));
+}
+
+/**
+ * Sales report as CSV (amounts in pounds): one row per period, then totals
+ */
+function salesReportToCsv(report) {
+  return toCsv(SALES_COLUMNS, toCsvRows(SALES_COLUMNS, [...report.periods, report.totals]));
+}
+
+/**
+ * Top-items report as CSV (amounts in pounds)
+ */
+function topItemsReportToCsv(report) {
+  return toCsv(TOP_ITEMS_COLUMNS, toCsvRows(TOP_ITEMS_COLUMNS, report.items));
+}
+
+module.exports = {
+  getSalesReport,
+  getTopItemsReport,
+  salesReportToCsv,
+  topItemsReportToCsv
+};
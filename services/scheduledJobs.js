@@ -0,0 +1,155 @@
+const { db } = require("../config/firebase");
+const { queueNotification, processNotificationQueue } = require("./notifications");
+const { buildRetryUrl, listFailedPaymentOrders } = require("./paymentRecovery");
+const { renewAuthorizations } = require("./preorders");
+const { cardExpiryMonth } = require("./cards");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Scheduled jobs
+ *
+ * Run once a day, either by Vercel Cron through GET /api/cron/daily or
+ * from the command line with `npm run jobs:daily`. The reminder jobs only
+ * queue notifications with dedupe keys, so running one twice is harmless;
+ * the queue is then flushed. Pre-order card holds about to lapse are
+ * renewed (see services/preorders).
+ */
+
+/**
+ * A card works until the end of its expiry month
+ */
+function cardExpiresAt(card) {
+  return new Date(Date.UTC(card.expYear, card.expMonth, 1));
+}
+
+/**
+ * Expiry months ("YYYY-MM") of cards that stop working after `now` and
+ * by `cutoff`
+ */
+function expiryMonthsBetween(now, cutoff) {
+  const months = [];
+  const month = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  while (month.getTime() < cutoff) {
+    const card = { expYear: month.getUTCFullYear(), expMonth: month.getUTCMonth() + 1 };
+    const expiresAt = cardExpiresAt(card).getTime();
+
+    if (expiresAt > now.getTime() && expiresAt <= cutoff) {
+      months.push(cardExpiryMonth(card));
+    }
+    month.setUTCMonth(month.getUTCMonth() + 1);
+  }
+
+  return months;
+}
+
+/**
+ * Saved cards that stop working within `withinDays` days. Only users with
+ * a card expiring in one of those months are read (cardExpiryMonths is
+ * kept by services/cards).
+ */
+async function findExpiringCards({ withinDays = 30, now = new Date() } = {}) {
+  const cutoff = now.getTime() + withinDays * DAY_MS;
+  const months = expiryMonthsBetween(now, cutoff);
+  const expiring = [];
+
+  // array-contains-any takes up to 30 values
+  for (let i = 0; i < months.length; i += 30) {
+    const batch = months.slice(i, i + 30);
+    const snapshot = await db.collection("users")
+      .where("cardExpiryMonths", "array-contains-any", batch)
+      .select("savedCards", "email")
+      .get();
+
+    snapshot.docs.forEach((doc) => {
+      (doc.data().savedCards || []).forEach((card) => {
+        if (!card.expMonth || !card.expYear || !batch.includes(cardExpiryMonth(card))) return;
+
+        expiring.push({ userId: doc.id, email: doc.data().email || null, card });
+      });
+    });
+  }
+
+  return expiring;
+}
+
+/**
+ * Queue one reminder per card per expiry date
+ */
+async function queueCardExpiryReminders(options = {}) {
+  const expiring = await findExpiringCards(options);
+  let queued = 0;
+
+  for (const { userId, card } of expiring) {
+    const created = await queueNotification(userId, "card_expiring", {
+      cardId: card.id,
+      brand: card.brand,
+      last4: card.last4,
+      expMonth: card.expMonth,
+      expYear: card.expYear
+    }, {
+      dedupeKey: `card_expiring_${userId}_${card.id}_${card.expYear}_${card.expMonth}`
+    });
+
+    if (created) queued++;
+  }
+
+  return { found: expiring.length, queued };
+}
+
+/**
+ * Queue a retry link for every order whose card payment failed,
+ * once per failed PaymentIntent
+ */
+async function queueFailedPaymentReminders() {
+  const orders = await listFailedPaymentOrders();
+  let queued = 0;
+
+  for (const order of orders) {
+    const created = await queueNotification(order.userId, "payment_failed", {
+      orderId: order.id,
+      amount: order.totalAmount ?? order.pricing?.total ?? null,
+      paymentError: order.paymentError || null,
+      retryUrl: buildRetryUrl(order.id)
+    }, {
+      dedupeKey: `payment_failed_${order.id}_${order.pendingPaymentIntentId || "none"}`
+    });
+
+    if (created) queued++;
+  }
+
+  return { found: orders.length, queued };
+}
+
+/**
+ * Run every daily job. One failing job doesn't stop the others.
+ */
+async function runDailyJobs() {
+  const jobs = {
+    cardExpiryReminders: queueCardExpiryReminders,
+    failedPaymentReminders: queueFailedPaymentReminders,
+    preorderAuthorizations: renewAuthorizations,
+    notificationQueue: processNotificationQueue
+  };
+  const results = {};
+
+  for (const [name, job] of Object.entries(jobs)) {
+    try {
+      results[name] = await job();
+      console.log(`✅ Job ${name}:`, results[name]);
+    } catch (error) {
+      console.error(`❌ Job ${name} failed:`, error);
+      results[name] = { error: error.message };
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  findExpiringCards,
+  queueCardExpiryReminders,
+  queueFailedPaymentReminders,
+  runDailyJobs
+};
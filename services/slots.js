@@ -0,0 +1,348 @@
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { DAY_NAMES, toUkTime, fromUkTime } = require("../utils/ukTime");
+
+/**
+ * Collection and delivery time slots
+ *
+ * settings/slots sets the slot length, how far ahead slots can be booked
+ * and, per fulfilment method, the opening hours (UK time) and how many
+ * orders fit in one slot:
+ *
+ *   {
+ *     slotMinutes: 30, leadMinutes: 60, daysAhead: 7,
+ *     collection: { capacity: 10, hours: { Mon: [{ from: "12:00", to: "21:00" }], ... } },
+ *     delivery: { capacity: 6, hours: { ... } }
+ *   }
+ *
+ * A method without hours has no slots and its orders are made as soon as
+ * possible. Bookings live in slotBookings, one document per slot, keyed by
+ * order: an order holds its place from payment-intent creation, for
+ * RESERVATION_MINUTES if it isn't paid, and for good once it is.
+ */
+
+const DEFAULT_SLOT_SETTINGS = {
+  slotMinutes: 30,
+  leadMinutes: 60,
+  daysAhead: 7
+};
+
+// How long an unpaid order keeps its place in a slot
+const RESERVATION_MINUTES = 30;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+async function getSlotSettings() {
+  const settingsDoc = await db.collection("settings").doc("slots").get();
+
+  return {
+    ...DEFAULT_SLOT_SETTINGS,
+    ...(settingsDoc.exists ? settingsDoc.data() : {})
+  };
+}
+
+function methodSettings(settings, method) {
+  const config = settings[method];
+  return config?.hours && Object.keys(config.hours).length > 0 ? config : null;
+}
+
+function toMinutes(time) {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+}
+
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Every bookable slot for a method from now, soonest first
+ */
+function generateSlots(settings, method, now = new Date()) {
+  const config = methodSettings(settings, method);
+  if (!config) {
+    return [];
+  }
+
+  const earliest = now.getTime() + settings.leadMinutes * 60 * 1000;
+  const today = toUkTime(now).date;
+  const slots = [];
+
+  for (let offset = 0; offset < settings.daysAhead; offset++) {
+    const date = addDays(today, offset);
+    const day = DAY_NAMES[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+    (config.hours[day] || []).forEach((window) => {
+      for (
+        let minutes = toMinutes(window.from);
+        minutes + settings.slotMinutes <= toMinutes(window.to);
+        minutes += settings.slotMinutes
+      ) {
+        const time = toTime(minutes);
+        const start = fromUkTime(date, time);
+        if (start.getTime() >= earliest) {
+          slots.push({ date, time, start });
+        }
+      }
+    });
+  }
+
+  return slots;
+}
+
+function bookingRef(method, date, time) {
+  return db.collection("slotBookings").doc(`${method}_${date}_${time.replace(":", "")}`);
+}
+
+/**
+ * Orders holding a place in a slot: paid ones, and unpaid ones reserved
+ * in the last RESERVATION_MINUTES
+ */
+function activeReservations(booking, now = Date.now()) {
+  const cutoff = now - RESERVATION_MINUTES * 60 * 1000;
+
+  return Object.entries(booking?.reservations || {})
+    .filter(([, reservation]) => reservation.paid || reservation.reservedAt >= cutoff)
+    .map(([orderId]) => orderId);
+}
+
+/**
+ * Bookable slots for a method with the places left in each
+ */
+async function listAvailableSlots(method, { now = new Date() } = {}) {
+  const settings = await getSlotSettings();
+  const config = methodSettings(settings, method);
+  const slots = generateSlots(settings, method, now);
+
+  if (slots.length === 0) {
+    return { enabled: Boolean(config), slots: [] };
+  }
+
+  const bookings = await db.getAll(...slots.map(slot => bookingRef(method, slot.date, slot.time)));
+
+  return {
+    enabled: true,
+    slots: slots.map((slot, index) => {
+      const taken = activeReservations(bookings[index].exists ? bookings[index].data() : null, now.getTime()).length;
+      const remaining = Math.max(config.capacity - taken, 0);
+      return {
+        date: slot.date,
+        time: slot.time,
+        start: slot.start.toISOString(),
+        remaining,
+        available: remaining > 0
+      };
+    })
+  };
+}
+
+/**
+ * Check a requested slot ({ date, time }) is one we offer for the method.
+ * Resolves to null when the method has no slots.
+ */
+async function resolveSlot(method, slot, { now = new Date() } = {}) {
+  const settings = await getSlotSettings();
+
+  if (!methodSettings(settings, method)) {
+    return null;
+  }
+
+  if (!slot?.date || !TIME_PATTERN.test(slot?.time || "")) {
+    throw new HttpError(400, `Choose a ${method} slot`);
+  }
+
+  const match = generateSlots(settings, method, now)
+    .find(candidate => candidate.date === slot.date && candidate.time === slot.time);
+
+  if (!match) {
+    throw new HttpError(400, `The ${slot.date} ${slot.time} ${method} slot isn't available`);
+  }
+
+  return { method, date: match.date, time: match.time, start: match.start };
+}
+
+/**
+ * Hold a place in an order's slot. Calling it again for the same order
+ * renews the reservation; a full slot is a 409, and an order without a
+ * slot for a method that has slots is a 400.
+ */
+async function reserveSlot(orderId, order) {
+  const settings = await getSlotSettings();
+
+  if (!order.slot) {
+    const method = order.deliveryMethod || "collection";
+    if (methodSettings(settings, method)) {
+      throw new HttpError(400, `Choose a ${method} slot`);
+    }
+    return null;
+  }
+
+  const { method, date, time } = order.slot;
+  const ref = bookingRef(method, date, time);
+  const config = methodSettings(settings, method);
+  const start = fromUkTime(date, time);
+
+  if (start.getTime() <= Date.now()) {
+    throw new HttpError(409, "Your slot has already started; please choose another");
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const bookingSnap = await transaction.get(ref);
+    const booking = bookingSnap.exists ? bookingSnap.data() : null;
+    const existing = booking?.reservations?.[orderId];
+    const others = activeReservations(booking).filter(id => id !== orderId);
+
+    if (!existing?.paid && config && others.length >= config.capacity) {
+      throw new HttpError(409, `The ${date} ${time} slot is full; please choose another`);
+    }
+
+    transaction.set(ref, {
+      method,
+      date,
+      time,
+      reservations: {
+        [orderId]: { paid: existing?.paid || false, reservedAt: Date.now() }
+      },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return { ...order.slot, remaining: config ? config.capacity - others.length - 1 : null };
+  });
+}
+
+/**
+ * Keep a paid order's place in its slot for good. If its reservation
+ * lapsed and the slot has filled up since, the order is flagged for staff
+ * instead of overbooking the slot; resolves to false then.
+ */
+async function confirmSlot(orderId, order) {
+  if (!order?.slot) {
+    return true;
+  }
+
+  const { method, date, time } = order.slot;
+  const ref = bookingRef(method, date, time);
+  const orderRef = db.collection("orders").doc(orderId);
+  const config = methodSettings(await getSlotSettings(), method);
+
+  const confirmed = await db.runTransaction(async (transaction) => {
+    const bookingSnap = await transaction.get(ref);
+    const booking = bookingSnap.exists ? bookingSnap.data() : null;
+    const reservations = activeReservations(booking);
+    const others = reservations.filter(id => id !== orderId);
+
+    if (!reservations.includes(orderId) && config && others.length >= config.capacity) {
+      transaction.update(orderRef, {
+        slotFlag: {
+          reason: "slot_full",
+          message: `Paid after its reservation lapsed; the ${date} ${time} ${method} slot is full`,
+          flaggedAt: admin.firestore.Timestamp.now()
+        },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return false;
+    }
+
+    transaction.set(ref, {
+      method,
+      date,
+      time,
+      reservations: {
+        [orderId]: { paid: true, reservedAt: Date.now() }
+      },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    return true;
+  });
+
+  if (!confirmed) {
+    console.warn(`⚠️ Order ${orderId} was paid but its ${date} ${time} ${method} slot is full`);
+  }
+
+  return confirmed;
+}
+
+/**
+ * Give up a cancelled order's place in its slot
+ */
+async function releaseSlot(orderId, order) {
+  if (!order?.slot) {
+    return;
+  }
+
+  const { method, date, time } = order.slot;
+  const ref = bookingRef(method, date, time);
+  const bookingSnap = await ref.get();
+
+  if (bookingSnap.exists && bookingSnap.data().reservations?.[orderId]) {
+    await ref.update({
+      [`reservations.${orderId}`]: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+}
+
+/**
+ * Validate and store settings/slots
+ */
+async function updateSlotSettings(data, { actor } = {}) {
+  const fields = {};
+
+  ["slotMinutes", "leadMinutes", "daysAhead"].forEach((field) => {
+    if (data[field] !== undefined) {
+      if (!Number.isInteger(data[field]) || data[field] < (field === "leadMinutes" ? 0 : 1)) {
+        throw new HttpError(400, `${field} must be a positive whole number`);
+      }
+      fields[field] = data[field];
+    }
+  });
+
+  ["collection", "delivery"].forEach((method) => {
+    if (data[method] === undefined) return;
+    if (data[method] === null) {
+      fields[method] = null;
+      return;
+    }
+
+    const { capacity, hours = {} } = data[method];
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new HttpError(400, `${method}.capacity must be at least 1`);
+    }
+
+    Object.entries(hours).forEach(([day, windows]) => {
+      if (!DAY_NAMES.includes(day) || !Array.isArray(windows)) {
+        throw new HttpError(400, `${method}.hours must be keyed by ${DAY_NAMES.join(", ")}`);
+      }
+      windows.forEach((window) => {
+        if (!TIME_PATTERN.test(window.from) || !TIME_PATTERN.test(window.to) || window.from >= window.to) {
+          throw new HttpError(400, `Invalid ${method} hours on ${day}`);
+        }
+      });
+    });
+
+    fields[method] = { capacity, hours };
+  });
+
+  // Replace whole fields, so days dropped from hours are dropped
+  await db.collection("settings").doc("slots").set({
+    ...fields,
+    updatedBy: actor || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { mergeFields: [...Object.keys(fields), "updatedBy", "updatedAt"] });
+
+  return getSlotSettings();
+}
+
+module.exports = {
+  getSlotSettings,
+  updateSlotSettings,
+  listAvailableSlots,
+  resolveSlot,
+  reserveSlot,
+  confirmSlot,
+  releaseSlot
+};
@@ -0,0 +1,99 @@
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { ROLES } = require("../middleware/auth");
+
+/**
+ * Staff roles and the staff audit log
+ *
+ * Roles live in the `role` custom claim so every request can check them
+ * from the ID token alone; the users doc keeps a copy for listing. A role
+ * change reaches the user's next ID token, within the hour, or straight
+ * away if the app forces a token refresh.
+ */
+
+/**
+ * Give a user a role, keeping their other custom claims
+ */
+async function setUserRole(uid, role, { actor } = {}) {
+  if (!ROLES.includes(role)) {
+    throw new HttpError(400, `Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  if (uid === actor) {
+    throw new HttpError(400, "You can't change your own role");
+  }
+
+  let userRecord;
+  try {
+    userRecord = await admin.auth().getUser(uid);
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      throw new HttpError(404, "User not found");
+    }
+    throw error;
+  }
+
+  // `admin: true` is the older way of marking admins
+  const { admin: legacyAdmin, ...claims } = userRecord.customClaims || {};
+  await admin.auth().setCustomUserClaims(uid, { ...claims, role });
+
+  await db.collection("users").doc(uid).set({
+    role,
+    roleUpdatedBy: actor || null,
+    roleUpdatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return { uid, email: userRecord.email || null, role };
+}
+
+/**
+ * Users with a staff role
+ */
+async function listStaff() {
+  const snapshot = await db.collection("users")
+    .where("role", "in", ["kitchen", "admin"])
+    .get();
+
+  return snapshot.docs.map(doc => ({
+    uid: doc.id,
+    email: doc.data().email || null,
+    role: doc.data().role
+  }));
+}
+
+/**
+ * Record something a member of staff did
+ */
+async function recordStaffAction({ actor, role, action, path, body = null, status }) {
+  await db.collection("staffActions").add({
+    actor: actor.uid,
+    actorEmail: actor.email || null,
+    role,
+    action,
+    path,
+    body,
+    status,
+    at: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Staff actions, newest first, optionally for one member of staff
+ */
+async function listStaffActions({ actor = null, limit = 100 } = {}) {
+  let query = db.collection("staffActions");
+
+  if (actor) {
+    query = query.where("actor", "==", actor);
+  }
+
+  const snapshot = await query.orderBy("at", "desc").limit(limit).get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  setUserRole,
+  listStaff,
+  recordStaffAction,
+  listStaffActions
+};
@@ -0,0 +1,786 @@
+const Stripe = require("stripe");
+const { admin, db } = require("../config/firebase");
+const { orderHoldReference, creditWallet, captureHold, releaseHold } = require("./wallet");
+const {
+  PAID_PAYMENT_STATUSES,
+  buildPaidOrderUpdate,
+  buildAuthorizedOrderUpdate,
+  buildStatusHistoryEntry
+} = require("./orders");
+const { syncSavedCards, syncSavedCardsForCustomer } = require("./cards");
+const { recordStripeRefund } = require("./refunds");
+const { recordDispute } = require("./disputes");
+const { redeemOrderPromotion } = require("./promotions");
+const { confirmSlot } = require("./slots");
+const { authorizationExpiresAt, buildCaptureAdjustment } = require("./preorders");
+const { awardOrderPoints } = require("./loyalty");
+const { issueGiftCard } = require("./giftCards");
+const { notify, notifyOrderConfirmed } = require("./notifications");
+const { buildRetryUrl } = require("./paymentRecovery");
+const {
+  syncSubscription,
+  createOrderForInvoice,
+  recordInvoicePaymentFailed
+} = require("./subscriptions");
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Stripe event handlers
+ *
+ * What each webhook event does to orders, wallets, gift cards, cards,
+ * refunds and meal plans. Used by the webhook route, admin replays and
+ * reconciliation fixes; every handler is safe to run twice.
+ */
+
+/**
+ * Dispatch a verified Stripe event to its handler.
+ * Resolves to false for event types we don't handle.
+ * Shared by the webhook, admin replays and reconciliation.
+ */
+async function processStripeEvent(event) {
+  // Payment Intent Succeeded
+  if (event.type === "payment_intent.succeeded") {
+    const paymentIntent = event.data.object;
+
+    // Route by what the PaymentIntent was paying for
+    if (paymentIntent.metadata?.type === "wallet_top_up") {
+      await handleWalletTopUpSuccess(paymentIntent);
+    } else if (paymentIntent.metadata?.type === "gift_card") {
+      await handleGiftCardPurchaseSuccess(paymentIntent);
+    } else if (paymentIntent.metadata?.source === "checkout") {
+      // Finalized by checkout.session.completed so it only runs once
+      console.log("ℹ️ Checkout payment, waiting for session completion:", paymentIntent.id);
+    } else {
+      await handlePaymentSuccess(paymentIntent);
+    }
+  }
+  
+  // Pre-order card authorized, to be captured when the order is made
+  else if (event.type === "payment_intent.amount_capturable_updated") {
+    const paymentIntent = event.data.object;
+    await handlePaymentAuthorized(paymentIntent);
+  }
+
+  // Payment Intent Failed
+  else if (event.type === "payment_intent.payment_failed") {
+    const paymentIntent = event.data.object;
+    await handlePaymentFailure(paymentIntent);
+  }
+
+  // Payment Intent Canceled
+  else if (event.type === "payment_intent.canceled") {
+    const paymentIntent = event.data.object;
+    await handlePaymentCanceled(paymentIntent);
+  }
+  
+  // Hosted Checkout completed or abandoned
+  else if (event.type === "checkout.session.completed") {
+    const session = event.data.object;
+    await handleCheckoutSessionCompleted(session);
+  }
+
+  else if (event.type === "checkout.session.expired") {
+    const session = event.data.object;
+    await handleCheckoutSessionExpired(session);
+  }
+  
+  // Meal-plan invoices: each paid one becomes that week's order
+  else if (event.type === "invoice.paid") {
+    const invoice = event.data.object;
+    const result = await createOrderForInvoice(invoice);
+    if (result?.created) {
+      console.log(`✅ Meal plan order ${result.orderId} created from invoice ${invoice.id}`);
+    }
+  }
+
+  else if (event.type === "invoice.payment_failed") {
+    const invoice = event.data.object;
+    if (await recordInvoicePaymentFailed(invoice)) {
+      console.warn("⚠️ Meal plan payment failed:", invoice.id);
+    }
+  }
+
+  // Subscription created, updated, paused, resumed or deleted
+  else if (event.type.startsWith("customer.subscription.")) {
+    const subscription = event.data.object;
+    await syncSubscription(subscription);
+  }
+  
+  // Setup Intent Succeeded (for saving cards)
+  else if (event.type === "setup_intent.succeeded") {
+    const setupIntent = event.data.object;
+    await handleSetupIntentSuccess(setupIntent);
+  }
+
+  // Card attached, detached or updated (e.g. new expiry from the card network)
+  else if (
+    event.type === "payment_method.attached" ||
+    event.type === "payment_method.detached" ||
+    event.type === "payment_method.updated" ||
+    event.type === "payment_method.automatically_updated"
+  ) {
+    const paymentMethod = event.data.object;
+    await handlePaymentMethodChange(paymentMethod, event.data.previous_attributes, event.type);
+  }
+
+  // Charge Refunded (from our API or the Stripe dashboard)
+  else if (event.type === "charge.refunded") {
+    const charge = event.data.object;
+    await handleChargeRefunded(charge);
+  }
+
+  // Refund status changed (e.g. pending -> succeeded or failed)
+  else if (event.type === "refund.updated") {
+    const refund = event.data.object;
+    await handleRefundUpdated(refund);
+  }
+
+  // Dispute / chargeback opened, updated or closed
+  else if (
+    event.type === "charge.dispute.created" ||
+    event.type === "charge.dispute.updated" ||
+    event.type === "charge.dispute.closed"
+  ) {
+    const dispute = event.data.object;
+    await recordDispute(dispute, event.type, event.created);
+  }
+
+  else {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Handle successful payment
+ */
+async function handlePaymentSuccess(paymentIntent) {
+  const { orderId, userId, walletAmount = 0 } = paymentIntent.metadata || {};
+
+  if (!orderId || !userId) {
+    console.error("❌ Missing metadata in PaymentIntent:", paymentIntent.id);
+    return;
+  }
+
+  try {
+    const orderRef = db.collection("orders").doc(orderId);
+    const userRef = db.collection("users").doc(userId);
+
+    const [orderSnap, userSnap] = await Promise.all([
+      orderRef.get(),
+      userRef.get()
+    ]);
+
+    if (!orderSnap.exists) {
+      console.error("❌ Order not found:", orderId);
+      return;
+    }
+
+    if (!userSnap.exists) {
+      console.error("❌ User not found:", userId);
+      return;
+    }
+
+    const order = orderSnap.data();
+
+    // =========================
+    // IDEMPOTENCY CHECK
+    // =========================
+    if (PAID_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      if (order.stripePaymentIntentId === paymentIntent.id) {
+        // A replay: the order was marked paid but a later step may not
+        // have run, so run them again (each only takes effect once)
+        console.log("ℹ️ Order already finalized, re-running follow-up steps:", orderId);
+        await completeOrderPayment(orderId, order, userId);
+      } else {
+        await refundDuplicatePayment(orderId, order, paymentIntent);
+      }
+      return;
+    }
+
+    // A captured pre-order was confirmed when it was authorized, and may
+    // have been captured for less (see capturePreorder)
+    const wasAuthorized = order.paymentStatus === "authorized";
+    const adjustment = wasAuthorized ? buildCaptureAdjustment(order, paymentIntent) : null;
+
+    // =========================
+    // AMOUNT CHECK
+    // =========================
+    // The card must have paid the order's total less its wallet part, in GBP
+    const walletAmountNum = Number(walletAmount);
+    const orderTotal = adjustment ? adjustment.totalAmount : (order.totalAmount ?? order.pricing?.total ?? 0);
+    const expectedCardAmount = orderTotal - walletAmountNum;
+
+    if (paymentIntent.currency !== "gbp" || paymentIntent.amount_received !== expectedCardAmount) {
+      console.error("❌ Payment doesn't match the order:", {
+        orderId,
+        paymentIntentId: paymentIntent.id,
+        currency: paymentIntent.currency,
+        amountReceived: paymentIntent.amount_received,
+        expectedCardAmount
+      });
+      await orderRef.update({
+        paymentStatus: "amount_mismatch",
+        paymentError: `Received ${paymentIntent.amount_received} ${paymentIntent.currency.toUpperCase()}, expected ${expectedCardAmount} GBP`,
+        stripePaymentIntentId: paymentIntent.id,
+        stripeChargeId: paymentIntent.latest_charge || null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return;
+    }
+
+    // =========================
+    // WALLET DEDUCTION (HYBRID PAYMENT)
+    // =========================
+    // Capturing 0 releases a pre-order's hold when its total came off the card
+    if (walletAmountNum > 0 || (wasAuthorized && order.walletAmount > 0)) {
+      try {
+        await captureHold(userId, orderHoldReference(orderId), {
+          amount: walletAmountNum,
+          debitIfNoHold: true,
+          description: `Payment for order ${orderId}`,
+          metadata: { orderId, stripePaymentIntentId: paymentIntent.id }
+        });
+        console.log(
+          `💰 Wallet deducted: £${(walletAmountNum / 100).toFixed(2)} for user ${userId}`
+        );
+      } catch (error) {
+        if (error.status !== 400) {
+          throw error;
+        }
+
+        // The card was charged but the wallet can't cover its part
+        console.error("❌ Insufficient wallet balance for deduction:", orderId);
+        await orderRef.update({
+          paymentStatus: "partially_paid",
+          paymentError: "Insufficient wallet balance",
+          walletShortfall: walletAmountNum,
+          stripePaymentIntentId: paymentIntent.id,
+          stripeChargeId: paymentIntent.latest_charge || null,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return;
+      }
+    }
+
+    // =========================
+    // FINALIZE ORDER
+    // =========================
+    await orderRef.update({
+      ...(adjustment || {}),
+      ...buildPaidOrderUpdate({
+        stripePaymentIntentId: paymentIntent.id,
+        stripeChargeId: paymentIntent.latest_charge || null,
+        paymentMethod: walletAmountNum > 0 ? "hybrid" : "card",
+        walletAmount: walletAmountNum,
+        confirm: !wasAuthorized
+      }),
+      ...(wasAuthorized ? { pendingPaymentIntentId: null } : {})
+    });
+    if (!wasAuthorized) {
+      await orderRef.collection("statusHistory").add(
+        buildStatusHistoryEntry(order.orderStatus || "pending", "confirmed", {
+          reason: `Card payment ${paymentIntent.id} succeeded`
+        })
+      );
+    }
+
+    console.log("✅ Order payment completed:", orderId);
+
+    await completeOrderPayment(orderId, order, userId);
+
+  } catch (err) {
+    console.error("❌ Webhook processing error:", err);
+    throw err;
+  }
+}
+
+/**
+ * The steps after an order is marked paid (or authorized). Each is safe
+ * to repeat, so a replayed event runs them all again to finish any that
+ * failed the first time.
+ */
+async function completeOrderPayment(orderId, order, userId, { awardPoints = true } = {}) {
+  // =========================
+  // KEEP THE ORDER'S SLOT
+  // =========================
+  await confirmSlot(orderId, order);
+
+  // =========================
+  // CONSUME PROMO CODE REDEMPTION
+  // =========================
+  await redeemOrderPromotion(orderId, order);
+
+  // =========================
+  // AWARD LOYALTY POINTS
+  // =========================
+  // A pre-order earns its points when it's captured
+  if (awardPoints) {
+    const points = await awardOrderPoints(orderId);
+    if (points > 0) {
+      console.log(`⭐ ${points} loyalty points awarded for order ${orderId}`);
+    }
+  }
+
+  // =========================
+  // UPDATE ORDER HISTORY IN USER DOCUMENT
+  // =========================
+  await db.collection("users").doc(userId).update({
+    orderHistory: admin.firestore.FieldValue.arrayUnion(orderId),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  // =========================
+  // CONFIRMATION EMAIL WITH RECEIPT
+  // =========================
+  await notifyOrderConfirmed(orderId);
+}
+
+/**
+ * Refund a card payment for an order that was already paid another way,
+ * e.g. from the wallet while the card payment was still open. Recorded on
+ * the order by PaymentIntent, so a replay doesn't refund twice.
+ */
+async function refundDuplicatePayment(orderId, order, paymentIntent) {
+  console.warn(
+    `⚠️ Order ${orderId} was already paid (${order.paymentMethod || "unknown"}); refunding ${paymentIntent.id}`
+  );
+
+  const refund = await stripe.refunds.create({
+    payment_intent: paymentIntent.id,
+    reason: "duplicate",
+    metadata: { orderId, duplicatePayment: "true" }
+  }, {
+    idempotencyKey: `duplicate_${paymentIntent.id}`
+  });
+
+  await db.collection("orders").doc(orderId).update({
+    [`duplicatePayments.${paymentIntent.id}`]: {
+      amount: paymentIntent.amount_received,
+      stripeRefundId: refund.id,
+      refundStatus: refund.status
+    },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  console.log(`💰 Duplicate payment ${paymentIntent.id} refunded for order ${orderId}`);
+}
+
+/**
+ * Handle an authorized pre-order payment: the order is confirmed and the
+ * wallet part stays held until the kitchen captures the card
+ */
+async function handlePaymentAuthorized(paymentIntent) {
+  const { orderId, userId, walletAmount = 0 } = paymentIntent.metadata || {};
+
+  if (!orderId || !userId || paymentIntent.status !== "requires_capture") {
+    return;
+  }
+
+  const orderRef = db.collection("orders").doc(orderId);
+  const orderSnap = await orderRef.get();
+
+  if (!orderSnap.exists) {
+    console.error("❌ Order not found:", orderId);
+    return;
+  }
+
+  const order = orderSnap.data();
+
+  // Already paid another way: let the card hold go
+  if (PAID_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    console.warn(`⚠️ Order ${orderId} was already paid; canceling authorization ${paymentIntent.id}`);
+    await stripe.paymentIntents.cancel(paymentIntent.id, { cancellation_reason: "duplicate" });
+    return;
+  }
+
+  // A replay of this authorization: finish whatever didn't run
+  if (order.paymentStatus === "authorized" && order.pendingPaymentIntentId === paymentIntent.id) {
+    console.log(`ℹ️ Order ${orderId} already authorized, re-running follow-up steps`);
+    await completeOrderPayment(orderId, order, userId, { awardPoints: false });
+    return;
+  }
+
+  // Renewed holds are recorded by the renewal job itself
+  if (!["pending", "failed"].includes(order.paymentStatus || "pending")) {
+    console.log(`ℹ️ Order ${orderId} is already ${order.paymentStatus}`);
+    return;
+  }
+
+  await orderRef.update(buildAuthorizedOrderUpdate({
+    stripePaymentIntentId: paymentIntent.id,
+    authorizedAmount: paymentIntent.amount_capturable,
+    authorizationExpiresAt: await authorizationExpiresAt(paymentIntent),
+    walletAmount: Number(walletAmount)
+  }));
+  await orderRef.collection("statusHistory").add(
+    buildStatusHistoryEntry(order.orderStatus || "pending", "confirmed", {
+      reason: `Card authorized by ${paymentIntent.id}; captured when the order is made`
+    })
+  );
+
+  console.log("✅ Pre-order payment authorized:", orderId);
+
+  await completeOrderPayment(orderId, order, userId, { awardPoints: false });
+}
+
+/**
+ * Handle a completed Checkout Session.
+ * The order is finalized from its PaymentIntent, the same way as an
+ * Elements payment.
+ */
+async function handleCheckoutSessionCompleted(session) {
+  if (session.mode !== "payment" || !session.metadata?.orderId) {
+    return;
+  }
+
+  if (session.payment_status !== "paid") {
+    console.warn("⚠️ Checkout session completed without payment:", session.id);
+    return;
+  }
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(session.payment_intent);
+  await handlePaymentSuccess(paymentIntent);
+
+  await db.collection("orders").doc(session.metadata.orderId).update({
+    stripeCheckoutSessionId: session.id,
+    pendingCheckoutSessionId: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+}
+
+/**
+ * Handle an expired Checkout Session: the order is left payable again
+ */
+async function handleCheckoutSessionExpired(session) {
+  const { orderId, userId } = session.metadata || {};
+
+  if (session.mode !== "payment" || !orderId) {
+    return;
+  }
+
+  const orderRef = db.collection("orders").doc(orderId);
+  const orderSnap = await orderRef.get();
+
+  if (!orderSnap.exists || orderSnap.data().pendingCheckoutSessionId !== session.id) {
+    return;
+  }
+
+  await orderRef.update({
+    pendingCheckoutSessionId: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  if (userId) {
+    await releaseHold(userId, orderHoldReference(orderId), {
+      description: `Checkout for order ${orderId} expired`,
+      metadata: { orderId, stripeCheckoutSessionId: session.id }
+    });
+  }
+
+  console.log(`ℹ️ Checkout session expired for order ${orderId}`);
+}
+
+/**
+ * Handle successful wallet top-up.
+ * The ledger entry id matches the one /add-money-to-wallet uses, so a top-up
+ * already credited synchronously is not credited again.
+ */
+async function handleWalletTopUpSuccess(paymentIntent) {
+  const { userId, saveCard } = paymentIntent.metadata || {};
+
+  if (!userId) {
+    console.error("❌ Missing userId in wallet top-up:", paymentIntent.id);
+    return;
+  }
+
+  // The wallet is in GBP pence; anything else is left for staff
+  // (reconciliation reports it as top_up_wrong_currency)
+  if (paymentIntent.currency !== "gbp") {
+    console.error("❌ Wallet top-up not in GBP, not credited:", {
+      paymentIntentId: paymentIntent.id,
+      userId,
+      currency: paymentIntent.currency,
+      amount: paymentIntent.amount_received
+    });
+    return;
+  }
+
+  const amount = paymentIntent.amount_received || paymentIntent.amount;
+
+  try {
+    const wallet = await creditWallet(userId, amount, {
+      entryId: `topup_${paymentIntent.id}`,
+      type: "top_up",
+      description: "Wallet top-up via card",
+      reference: paymentIntent.id,
+      metadata: {
+        stripePaymentIntentId: paymentIntent.id,
+        stripeChargeId: paymentIntent.latest_charge || null,
+        saveCard: saveCard === "true"
+      }
+    });
+
+    if (wallet.duplicate) {
+      console.log("ℹ️ Wallet top-up already credited:", paymentIntent.id);
+    } else {
+      console.log(`✅ Wallet updated for user ${userId}: +${amount/100} GBP`);
+      await notify(userId, "wallet_top_up", { amount, balance: wallet.balance }, {
+        dedupeKey: `wallet_top_up_${paymentIntent.id}`
+      });
+    }
+
+    // =========================
+    // SAVE NEW CARD IF REQUESTED
+    // =========================
+    if (saveCard === "true" && paymentIntent.payment_method && paymentIntent.customer) {
+      const savedCards = await syncSavedCards(userId, paymentIntent.customer);
+      console.log(`✅ Saved cards synced for user ${userId}: ${savedCards.length} card(s)`);
+    }
+  } catch (err) {
+    console.error("❌ Wallet top-up processing error:", err);
+    throw err;
+  }
+}
+
+/**
+ * Handle a paid gift card purchase by issuing its code
+ */
+async function handleGiftCardPurchaseSuccess(paymentIntent) {
+  const { purchaseId } = paymentIntent.metadata || {};
+
+  if (!purchaseId) {
+    console.error("❌ Missing purchaseId in gift card payment:", paymentIntent.id);
+    return;
+  }
+
+  const { code, issued } = await issueGiftCard(purchaseId, paymentIntent);
+
+  if (issued) {
+    console.log(`✅ Gift card ${code} issued for purchase ${purchaseId}`);
+  } else {
+    console.log("ℹ️ Gift card already issued for purchase:", purchaseId);
+  }
+}
+
+/**
+ * Handle payment failure
+ */
+async function handlePaymentFailure(paymentIntent) {
+  const { orderId, userId, renews } = paymentIntent.metadata || {};
+  
+  console.warn(
+    "⚠️ Payment failed:",
+    paymentIntent.id,
+    paymentIntent.last_payment_error?.message
+  );
+
+  // A failed pre-order renewal leaves the earlier hold in place
+  if (renews) {
+    console.log(`ℹ️ Renewal of ${renews} failed; the order was flagged by the renewal job`);
+    return;
+  }
+
+  if (orderId && userId) {
+    try {
+      const orderRef = db.collection("orders").doc(orderId);
+      await orderRef.update({
+        paymentStatus: "failed",
+        paymentError: paymentIntent.last_payment_error?.message || "Payment failed",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      
+      console.log(`❌ Order ${orderId} marked as failed`);
+    } catch (error) {
+      console.error("Error updating failed order:", error);
+      throw error;
+    }
+
+    // Same key as the daily reminder job, so one email per failed attempt
+    await notify(userId, "payment_failed", {
+      orderId,
+      amount: paymentIntent.amount,
+      paymentError: paymentIntent.last_payment_error?.message || null,
+      retryUrl: buildRetryUrl(orderId)
+    }, {
+      dedupeKey: `payment_failed_${orderId}_${paymentIntent.id}`
+    });
+  }
+}
+
+/**
+ * Handle a canceled payment: give back the wallet funds held for the order.
+ * A pre-order whose authorization lapsed is flagged for staff.
+ */
+async function handlePaymentCanceled(paymentIntent) {
+  const { orderId, userId, walletAmount = 0 } = paymentIntent.metadata || {};
+
+  if (!orderId || !userId) {
+    return;
+  }
+
+  // A retried payment reuses the hold, so only release it for the current attempt
+  const orderRef = db.collection("orders").doc(orderId);
+  const orderSnap = await orderRef.get();
+  const pendingPaymentIntentId = orderSnap.exists ? orderSnap.data().pendingPaymentIntentId : null;
+
+  if (pendingPaymentIntentId && pendingPaymentIntentId !== paymentIntent.id) {
+    console.log("ℹ️ Canceled PaymentIntent was superseded by a retry:", paymentIntent.id);
+    return;
+  }
+
+  if (orderSnap.exists && orderSnap.data().paymentStatus === "authorized" && paymentIntent.cancellation_reason === "automatic") {
+    console.warn(`⚠️ Card authorization for pre-order ${orderId} lapsed:`, paymentIntent.id);
+    await orderRef.update({
+      paymentStatus: "authorization_expired",
+      authorizationFlag: {
+        reason: "expired",
+        message: "The card authorization lapsed before the payment was captured",
+        flaggedAt: admin.firestore.Timestamp.now()
+      },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  if (Number(walletAmount) <= 0) {
+    return;
+  }
+
+  await releaseHold(userId, orderHoldReference(orderId), {
+    description: `Payment for order ${orderId} was canceled`,
+    metadata: { orderId, stripePaymentIntentId: paymentIntent.id }
+  });
+
+  console.log(`💰 Wallet hold released for order ${orderId}`);
+}
+
+/**
+ * Find the order a charge paid for
+ */
+async function findOrderIdForCharge(chargeId, paymentIntentId) {
+  if (paymentIntentId) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    if (paymentIntent.metadata?.orderId) {
+      return paymentIntent.metadata.orderId;
+    }
+  }
+
+  const querySnapshot = await db.collection("orders")
+    .where("stripeChargeId", "==", chargeId)
+    .limit(1)
+    .get();
+
+  return querySnapshot.empty ? null : querySnapshot.docs[0].id;
+}
+
+/**
+ * Handle charge refunded: record every refund on the charge against its order
+ */
+async function handleChargeRefunded(charge) {
+  const orderId = charge.metadata?.orderId ||
+    await findOrderIdForCharge(charge.id, charge.payment_intent);
+
+  if (!orderId) {
+    console.log("ℹ️ Refunded charge is not linked to an order:", charge.id);
+    return;
+  }
+
+  const refunds = await stripe.refunds.list({ charge: charge.id, limit: 100 });
+
+  // Refunds of duplicate payments aren't refunds of the order
+  for (const refund of refunds.data.filter(item => !item.metadata?.duplicatePayment)) {
+    await recordStripeRefund(orderId, refund);
+  }
+
+  console.log(`✅ Refunds synced for order ${orderId}: £${(charge.amount_refunded / 100).toFixed(2)} refunded`);
+}
+
+/**
+ * Handle refund updated: keep the refund record's status in line with Stripe
+ */
+async function handleRefundUpdated(refund) {
+  const orderId = refund.metadata?.orderId ||
+    await findOrderIdForCharge(refund.charge, refund.payment_intent);
+
+  if (!orderId) {
+    console.log("ℹ️ Refund is not linked to an order:", refund.id);
+    return;
+  }
+
+  if (refund.metadata?.duplicatePayment) {
+    console.log(`ℹ️ Duplicate payment refund ${refund.id} is ${refund.status} for order ${orderId}`);
+    return;
+  }
+
+  const totals = await recordStripeRefund(orderId, refund);
+  console.log(`✅ Refund ${refund.id} is ${refund.status} for order ${orderId}:`, totals);
+}
+
+/**
+ * Handle setup intent success (for saved cards)
+ */
+async function handleSetupIntentSuccess(setupIntent) {
+  const { customer: customerId, payment_method: paymentMethodId } = setupIntent;
+  
+  if (!customerId || !paymentMethodId) {
+    console.error("❌ Missing customer or payment method in setup intent");
+    return;
+  }
+
+  try {
+    // Rebuild the user's saved cards from Stripe
+    const result = await syncSavedCardsForCustomer(customerId);
+    
+    if (!result) {
+      console.error("❌ User not found for customer:", customerId);
+      return;
+    }
+    
+    console.log(`✅ Card saved for user ${result.userId}: ${result.savedCards.length} card(s) on file`);
+    
+  } catch (err) {
+    console.error("❌ Error processing setup intent:", err);
+    throw err;
+  }
+}
+
+/**
+ * Keep savedCards in line with Stripe when a card changes.
+ * A detached card no longer has a customer, so it comes from
+ * previous_attributes.
+ */
+async function handlePaymentMethodChange(paymentMethod, previousAttributes = {}, eventType = null) {
+  if (paymentMethod.type !== "card") {
+    return;
+  }
+
+  const customerId = paymentMethod.customer || previousAttributes?.customer;
+
+  if (!customerId) {
+    return;
+  }
+
+  const result = await syncSavedCardsForCustomer(customerId);
+
+  if (!result) {
+    console.log("ℹ️ No user for customer:", customerId);
+    return;
+  }
+
+  console.log(`✅ Saved cards synced for user ${result.userId}: ${result.savedCards.length} card(s)`);
+
+  if (eventType === "payment_method.attached") {
+    await notify(result.userId, "card_saved", {
+      brand: paymentMethod.card.brand,
+      last4: paymentMethod.card.last4
+    }, {
+      dedupeKey: `card_saved_${paymentMethod.id}`
+    });
+  }
+}
+
+module.exports = {
+  processStripeEvent
+};
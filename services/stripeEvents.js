@@ -0,0 +1,193 @@
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+
+// A "processing" claim older than this is treated as abandoned
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+function eventRef(eventId) {
+  return db.collection("stripeEvents").doc(eventId);
+}
+
+/**
+ * Store a verified event and claim it for processing.
+ * Returns false when the event was already processed, or another
+ * delivery is processing it right now.
+ */
+async function claimEvent(event, { force = false } = {}) {
+  const ref = eventRef(event.id);
+
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(ref);
+    const now = admin.firestore.Timestamp.now();
+
+    if (snap.exists && !force) {
+      const record = snap.data();
+
+      if (record.status === "processed" || record.status === "ignored") {
+        return false;
+      }
+
+      const claimedAt = record.processingStartedAt?.toMillis() || 0;
+      if (record.status === "processing" && now.toMillis() - claimedAt < PROCESSING_TIMEOUT_MS) {
+        return false;
+      }
+    }
+
+    if (!snap.exists) {
+      transaction.set(ref, {
+        type: event.type,
+        livemode: !!event.livemode,
+        stripeCreatedAt: admin.firestore.Timestamp.fromMillis(event.created * 1000),
+        objectId: event.data?.object?.id || null,
+        payload: JSON.stringify(event),
+        status: "processing",
+        attempts: 1,
+        lastError: null,
+        receivedAt: now,
+        processingStartedAt: now,
+        processedAt: null
+      });
+    } else {
+      transaction.update(ref, {
+        status: "processing",
+        attempts: admin.firestore.FieldValue.increment(1),
+        processingStartedAt: now
+      });
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Run an event through `handler` once, recording the outcome.
+ * `handler(event)` resolves to false for event types it does not handle.
+ * Handler errors are recorded on the event and rethrown.
+ *
+ * returns: { eventId, status: "processed" | "ignored" | "skipped" }
+ */
+async function runStripeEvent(event, handler, { force = false } = {}) {
+  const claimed = await claimEvent(event, { force });
+
+  if (!claimed) {
+    console.log("ℹ️ Stripe event already handled:", event.id);
+    return { eventId: event.id, status: "skipped" };
+  }
+
+  try {
+    const handled = await handler(event);
+    const status = handled === false ? "ignored" : "processed";
+
+    await eventRef(event.id).update({
+      status,
+      lastError: null,
+      processedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { eventId: event.id, status };
+  } catch (err) {
+    await eventRef(event.id).update({
+      status: "failed",
+      lastError: err.message || String(err),
+      failedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    throw err;
+  }
+}
+
+/**
+ * Load a stored event as it was received from Stripe
+ */
+async function getStoredEvent(eventId) {
+  const snap = await eventRef(eventId).get();
+
+  if (!snap.exists) {
+    throw new HttpError(404, "Stripe event not found");
+  }
+
+  return JSON.parse(snap.data().payload);
+}
+
+// Fields listed for an event; payloads are only read to replay one
+const EVENT_SUMMARY_FIELDS = [
+  "type",
+  "livemode",
+  "stripeCreatedAt",
+  "objectId",
+  "status",
+  "attempts",
+  "lastError",
+  "receivedAt",
+  "processingStartedAt",
+  "processedAt",
+  "failedAt"
+];
+
+// Failed events are replayed this many at a time
+const REPLAY_PAGE_SIZE = 25;
+
+/**
+ * Stored events (without payloads), newest first
+ */
+async function listStripeEvents({ status, limit = 50 } = {}) {
+  let query = db.collection("stripeEvents");
+
+  if (status) {
+    query = query.where("status", "==", status);
+  }
+
+  const snapshot = await query
+    .orderBy("receivedAt", "desc")
+    .select(...EVENT_SUMMARY_FIELDS)
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Re-run up to `limit` stored events that failed, oldest first, a page
+ * at a time. Each event is attempted once; failures stay recorded on
+ * the event.
+ */
+async function replayFailedEvents(handler, { limit = 25 } = {}) {
+  const results = [];
+  let lastDoc = null;
+
+  while (results.length < limit) {
+    let query = db.collection("stripeEvents")
+      .where("status", "==", "failed")
+      .orderBy("receivedAt", "asc")
+      .select("receivedAt")
+      .limit(Math.min(REPLAY_PAGE_SIZE, limit - results.length));
+
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    for (const doc of snapshot.docs) {
+      try {
+        const event = await getStoredEvent(doc.id);
+        results.push(await runStripeEvent(event, handler));
+      } catch (err) {
+        results.push({ eventId: doc.id, status: "failed", error: err.message });
+      }
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return results;
+}
+
+module.exports = {
+  runStripeEvent,
+  getStoredEvent,
+  listStripeEvents,
+  replayFailedEvents
+};
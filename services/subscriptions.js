@@ -0,0 +1,498 @@
+const Stripe = require("stripe");
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { getOrCreateCustomer } = require("./customers");
+const { buildPaidOrderUpdate, buildStatusHistoryEntry } = require("./orders");
+const { awardOrderPoints } = require("./loyalty");
+const { notifyOrderConfirmed } = require("./notifications");
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+
+/**
+ * Meal-plan subscriptions
+ *
+ * A meal plan (mealPlans/{id}) is a weekly Stripe Price plus the menu items
+ * each week's order contains. subscriptions/{stripeSubscriptionId} mirrors
+ * the Stripe subscription and is kept in sync by the webhook; every paid
+ * invoice creates that week's order.
+ */
+
+// =========================
+// MEAL PLANS
+// =========================
+
+function validateMealPlan(data, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || data.name !== undefined) {
+    if (typeof data.name !== "string" || !data.name.trim()) {
+      throw new HttpError(400, "Name is required");
+    }
+    fields.name = data.name.trim();
+  }
+
+  if (!partial || data.stripePriceId !== undefined) {
+    if (typeof data.stripePriceId !== "string" || !data.stripePriceId) {
+      throw new HttpError(400, "stripePriceId is required");
+    }
+    fields.stripePriceId = data.stripePriceId;
+  }
+
+  if (!partial || data.items !== undefined) {
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+      throw new HttpError(400, "items must be a non-empty list");
+    }
+
+    fields.items = data.items.map((item) => {
+      if (typeof item.menuItemId !== "string" || !item.menuItemId) {
+        throw new HttpError(400, "Each item needs a menuItemId");
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+        throw new HttpError(400, `Invalid quantity for item: ${item.menuItemId}`);
+      }
+      return {
+        menuItemId: item.menuItemId,
+        quantity: item.quantity,
+        modifiers: item.modifiers || []
+      };
+    });
+  }
+
+  ["description", "imageUrl"].forEach((field) => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  });
+
+  if (data.active !== undefined) {
+    fields.active = !!data.active;
+  }
+
+  return fields;
+}
+
+/**
+ * Check a plan's Stripe Price is weekly and record its amount
+ */
+async function describePrice(stripePriceId) {
+  const price = await stripe.prices.retrieve(stripePriceId);
+
+  if (!price.active || price.recurring?.interval !== "week") {
+    throw new HttpError(400, "stripePriceId must be an active weekly recurring price");
+  }
+
+  return {
+    amount: price.unit_amount,
+    currency: price.currency.toUpperCase(),
+    intervalCount: price.recurring.interval_count
+  };
+}
+
+/**
+ * Snapshot item names so weekly orders don't depend on the menu later
+ */
+async function attachItemNames(items) {
+  const menuDocs = await db.getAll(
+    ...items.map(item => db.collection("menuItems").doc(item.menuItemId))
+  );
+
+  return items.map((item, index) => {
+    if (!menuDocs[index].exists) {
+      throw new HttpError(400, `Menu item not found: ${item.menuItemId}`);
+    }
+    return { ...item, name: menuDocs[index].data().name || null };
+  });
+}
+
+async function createMealPlan(data, { actor } = {}) {
+  const fields = validateMealPlan(data || {});
+  const [price, items] = await Promise.all([
+    describePrice(fields.stripePriceId),
+    attachItemNames(fields.items)
+  ]);
+  const ref = db.collection("mealPlans").doc();
+
+  await ref.set({
+    active: true,
+    ...fields,
+    items,
+    price,
+    createdBy: actor || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return getMealPlan(ref.id);
+}
+
+async function updateMealPlan(planId, data, { actor } = {}) {
+  const fields = validateMealPlan(data || {}, { partial: true });
+
+  await getMealPlan(planId);
+
+  if (fields.stripePriceId) {
+    fields.price = await describePrice(fields.stripePriceId);
+  }
+  if (fields.items) {
+    fields.items = await attachItemNames(fields.items);
+  }
+
+  await db.collection("mealPlans").doc(planId).update({
+    ...fields,
+    updatedBy: actor || null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return getMealPlan(planId);
+}
+
+async function getMealPlan(planId) {
+  const doc = await db.collection("mealPlans").doc(planId).get();
+
+  if (!doc.exists) {
+    throw new HttpError(404, "Meal plan not found");
+  }
+
+  return { id: doc.id, ...doc.data() };
+}
+
+async function listMealPlans({ activeOnly = false } = {}) {
+  const snapshot = await db.collection("mealPlans").get();
+
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(plan => !activeOnly || plan.active !== false);
+}
+
+// =========================
+// SUBSCRIPTIONS
+// =========================
+
+function subscriptionRef(subscriptionId) {
+  return db.collection("subscriptions").doc(subscriptionId);
+}
+
+/**
+ * Fields mirrored from a Stripe subscription
+ */
+function toSubscriptionFields(subscription) {
+  const periodEnd = subscription.items?.data?.[0]?.current_period_end;
+
+  return {
+    status: subscription.status,
+    paused: !!subscription.pause_collection,
+    cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+    currentPeriodEnd: periodEnd ? admin.firestore.Timestamp.fromMillis(periodEnd * 1000) : null,
+    canceledAt: subscription.canceled_at
+      ? admin.firestore.Timestamp.fromMillis(subscription.canceled_at * 1000)
+      : null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+/**
+ * Subscribe the user to a meal plan, charged to their default card
+ */
+async function createSubscription(user, { planId, deliveryMethod = "collection", deliveryAddress = null, notes = null } = {}) {
+  if (!["delivery", "collection"].includes(deliveryMethod)) {
+    throw new HttpError(400, "Invalid delivery method");
+  }
+
+  if (deliveryMethod === "delivery" && !deliveryAddress) {
+    throw new HttpError(400, "Missing delivery address");
+  }
+
+  const plan = await getMealPlan(planId);
+  if (plan.active === false) {
+    throw new HttpError(400, "Meal plan is not available");
+  }
+
+  const customerId = await getOrCreateCustomer(user.uid, user.email);
+  const customer = await stripe.customers.retrieve(customerId);
+  const defaultPaymentMethod = customer.invoice_settings?.default_payment_method;
+
+  if (!defaultPaymentMethod) {
+    throw new HttpError(400, "Set a default card before subscribing");
+  }
+
+  // Charge the first week straight away; a declined card fails the request
+  const subscription = await stripe.subscriptions.create({
+    customer: customerId,
+    items: [{ price: plan.stripePriceId }],
+    default_payment_method: typeof defaultPaymentMethod === "string"
+      ? defaultPaymentMethod
+      : defaultPaymentMethod.id,
+    payment_behavior: "error_if_incomplete",
+    metadata: {
+      type: "meal_plan",
+      userId: user.uid,
+      planId
+    }
+  });
+
+  await subscriptionRef(subscription.id).set({
+    userId: user.uid,
+    planId,
+    planName: plan.name,
+    stripeCustomerId: customerId,
+    stripePriceId: plan.stripePriceId,
+    deliveryMethod,
+    deliveryAddress,
+    notes,
+    ...toSubscriptionFields(subscription),
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return getOwnedSubscription(subscription.id, user.uid);
+}
+
+async function getOwnedSubscription(subscriptionId, userId) {
+  const doc = await subscriptionRef(subscriptionId).get();
+
+  if (!doc.exists) {
+    throw new HttpError(404, "Subscription not found");
+  }
+
+  if (doc.data().userId !== userId) {
+    throw new HttpError(403, "Subscription does not belong to this user");
+  }
+
+  return { id: doc.id, ...doc.data() };
+}
+
+async function updateOwnedSubscription(subscriptionId, userId, params) {
+  const existing = await getOwnedSubscription(subscriptionId, userId);
+
+  if (existing.status === "canceled") {
+    throw new HttpError(409, "Subscription has been cancelled");
+  }
+
+  const subscription = await stripe.subscriptions.update(subscriptionId, params);
+  await subscriptionRef(subscriptionId).update(toSubscriptionFields(subscription));
+
+  return getOwnedSubscription(subscriptionId, userId);
+}
+
+/**
+ * Skip billing (and weekly orders) until resumed
+ */
+async function pauseSubscription(subscriptionId, userId) {
+  return updateOwnedSubscription(subscriptionId, userId, {
+    pause_collection: { behavior: "void" }
+  });
+}
+
+async function resumeSubscription(subscriptionId, userId) {
+  return updateOwnedSubscription(subscriptionId, userId, {
+    pause_collection: ""
+  });
+}
+
+/**
+ * Cancel at the end of the paid week, or straight away
+ */
+async function cancelSubscription(subscriptionId, userId, { atPeriodEnd = true } = {}) {
+  if (atPeriodEnd) {
+    return updateOwnedSubscription(subscriptionId, userId, { cancel_at_period_end: true });
+  }
+
+  const existing = await getOwnedSubscription(subscriptionId, userId);
+  if (existing.status === "canceled") {
+    return existing;
+  }
+
+  const subscription = await stripe.subscriptions.cancel(subscriptionId);
+  await subscriptionRef(subscriptionId).update(toSubscriptionFields(subscription));
+
+  return getOwnedSubscription(subscriptionId, userId);
+}
+
+async function listUserSubscriptions(userId) {
+  const snapshot = await db.collection("subscriptions")
+    .where("userId", "==", userId)
+    .get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// =========================
+// WEBHOOK HANDLING
+// =========================
+
+function invoiceSubscriptionId(invoice) {
+  const subscription = invoice.parent?.subscription_details?.subscription || invoice.subscription;
+  return typeof subscription === "string" ? subscription : subscription?.id || null;
+}
+
+/**
+ * Mirror a customer.subscription.* event into Firestore.
+ * Subscriptions not created as meal plans are ignored.
+ */
+async function syncSubscription(subscription) {
+  const { type, userId, planId } = subscription.metadata || {};
+
+  if (type !== "meal_plan") {
+    return false;
+  }
+
+  await subscriptionRef(subscription.id).set({
+    userId,
+    planId,
+    stripeCustomerId: typeof subscription.customer === "string"
+      ? subscription.customer
+      : subscription.customer.id,
+    ...toSubscriptionFields(subscription)
+  }, { merge: true });
+
+  return true;
+}
+
+/**
+ * The PaymentIntent and charge that paid an invoice, so the order can be
+ * refunded like any other card order
+ */
+async function findInvoicePayment(invoiceId) {
+  const payments = await stripe.invoicePayments.list({ invoice: invoiceId, status: "paid", limit: 1 });
+  const payment = payments.data[0]?.payment;
+
+  if (!payment) {
+    return { stripePaymentIntentId: null, stripeChargeId: null };
+  }
+
+  const paymentIntentId = typeof payment.payment_intent === "string"
+    ? payment.payment_intent
+    : payment.payment_intent?.id || null;
+  let chargeId = typeof payment.charge === "string" ? payment.charge : payment.charge?.id || null;
+
+  if (paymentIntentId && !chargeId) {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    chargeId = paymentIntent.latest_charge || null;
+  }
+
+  return { stripePaymentIntentId: paymentIntentId, stripeChargeId: chargeId };
+}
+
+/**
+ * Create the week's order for a paid meal-plan invoice, once per invoice
+ */
+async function createOrderForInvoice(invoice) {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) {
+    return null;
+  }
+
+  if (invoice.parent?.subscription_details?.metadata?.type !== "meal_plan") {
+    return null;
+  }
+
+  // The first invoice can arrive before /api/subscriptions has stored the
+  // delivery details; failing here lets the event be retried
+  const subscriptionSnap = await subscriptionRef(subscriptionId).get();
+  if (!subscriptionSnap.exists || !subscriptionSnap.data().deliveryMethod) {
+    throw new Error(`Subscription not ready for invoice ${invoice.id}: ${subscriptionId}`);
+  }
+
+  const subscription = subscriptionSnap.data();
+  const plan = await getMealPlan(subscription.planId);
+  const payment = await findInvoicePayment(invoice.id);
+  const orderRef = db.collection("orders").doc(`invoice_${invoice.id}`);
+  const amount = invoice.amount_paid;
+
+  const created = await db.runTransaction(async (transaction) => {
+    const existing = await transaction.get(orderRef);
+    if (existing.exists) {
+      return false;
+    }
+
+    transaction.set(orderRef, {
+      userId: subscription.userId,
+      items: plan.items,
+      deliveryMethod: subscription.deliveryMethod,
+      deliveryAddress: subscription.deliveryAddress,
+      notes: subscription.notes,
+      pricing: {
+        lineItems: [],
+        subtotal: amount,
+        deliveryFee: 0,
+        discounts: [],
+        discount: 0,
+        total: amount
+      },
+      totalAmount: amount,
+      subscriptionId,
+      mealPlanId: subscription.planId,
+      stripeInvoiceId: invoice.id,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.update(orderRef, buildPaidOrderUpdate({
+      ...payment,
+      paymentMethod: "subscription"
+    }));
+    transaction.set(orderRef.collection("statusHistory").doc(), buildStatusHistoryEntry(null, "confirmed", {
+      reason: `Meal plan invoice ${invoice.id} paid`
+    }));
+    transaction.update(subscriptionRef(subscriptionId), {
+      lastInvoiceId: invoice.id,
+      lastOrderId: orderRef.id,
+      lastPaymentError: null,
+      failedAttempts: 0,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    transaction.set(db.collection("users").doc(subscription.userId), {
+      orderHistory: admin.firestore.FieldValue.arrayUnion(orderRef.id),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return true;
+  });
+
+  if (created) {
+    await awardOrderPoints(orderRef.id);
+    await notifyOrderConfirmed(orderRef.id);
+  }
+
+  return { orderId: orderRef.id, created };
+}
+
+/**
+ * Record a failed renewal on the subscription. Stripe retries the invoice
+ * and moves the subscription to past_due on its own.
+ */
+async function recordInvoicePaymentFailed(invoice) {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) {
+    return false;
+  }
+
+  const ref = subscriptionRef(subscriptionId);
+  const snapshot = await ref.get();
+  if (!snapshot.exists) {
+    return false;
+  }
+
+  await ref.update({
+    lastInvoiceId: invoice.id,
+    lastPaymentError: "Payment failed",
+    failedAttempts: invoice.attempt_count || 1,
+    lastPaymentFailedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return true;
+}
+
+module.exports = {
+  createMealPlan,
+  updateMealPlan,
+  getMealPlan,
+  listMealPlans,
+  createSubscription,
+  getOwnedSubscription,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  listUserSubscriptions,
+  syncSubscription,
+  createOrderForInvoice,
+  recordInvoicePaymentFailed
+};
@@ -0,0 +1,425 @@
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+
+/**
+ * Wallet ledger
+ *
+ * Every balance change is an append-only entry in users/{id}/walletLedger,
+ * written in the same Firestore transaction that updates the cached
+ * counters on the user document:
+ *
+ *   walletBalance  posted balance (credits minus debits and captures)
+ *   walletHeld     sum of active holds
+ *   walletHolds    { [reference]: { amount, createdAt } }
+ *
+ * Each entry also records balanceDelta and heldDelta, so the counters can
+ * be re-derived by summing the ledger. The spendable balance is
+ * walletBalance - walletHeld. All amounts are in pence.
+ */
+
+/**
+ * Hold reference used for the wallet portion of an order
+ */
+function orderHoldReference(orderId) {
+  return `order_${orderId}`;
+}
+
+function ledgerCollection(userId) {
+  return db.collection("users").doc(userId).collection("walletLedger");
+}
+
+function assertAmount(amount) {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new HttpError(400, "Invalid wallet amount");
+  }
+}
+
+/**
+ * Read the cached wallet counters from a user document
+ */
+function readCounters(userData) {
+  const balance = userData.walletBalance || 0;
+  const held = userData.walletHeld || 0;
+
+  return {
+    balance,
+    held,
+    available: balance - held,
+    holds: userData.walletHolds || {}
+  };
+}
+
+/**
+ * Run a ledger write inside a transaction.
+ * `apply` receives the current counters and returns the entries to append
+ * and the counter fields to store, or null when there is nothing to do.
+ *
+ * Other documents can join the transaction: `read(transaction)` runs in the
+ * read phase and its result is passed to `apply` and `write`;
+ * `write(transaction, context)` runs in the write phase and may return
+ * extra fields for the user document.
+ */
+async function runLedgerTransaction(userId, { entryId, read, apply, write }) {
+  const userRef = db.collection("users").doc(userId);
+  const ledgerRef = ledgerCollection(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const reads = [transaction.get(userRef)];
+    if (entryId) {
+      reads.push(transaction.get(ledgerRef.doc(entryId)));
+    }
+    const [userSnap, existingEntry] = await Promise.all(reads);
+    const context = read ? await read(transaction) : undefined;
+
+    if (!userSnap.exists) {
+      throw new HttpError(404, "User not found");
+    }
+
+    const userData = userSnap.data();
+    const counters = readCounters(userData);
+
+    if (existingEntry && existingEntry.exists) {
+      return { ...counters, duplicate: true, entry: existingEntry.data() };
+    }
+
+    const result = apply(counters, userData, context);
+    if (!result) {
+      return { ...counters, duplicate: false, entry: null };
+    }
+
+    const extraUserFields = write ? write(transaction, context) : null;
+    const entry = writeLedgerResult(transaction, userId, userData, result, {
+      entryId,
+      extraUserFields
+    });
+
+    return {
+      balance: result.balance,
+      held: result.held,
+      available: result.balance - result.held,
+      holds: result.holds,
+      duplicate: false,
+      entry
+    };
+  });
+}
+
+/**
+ * Write the ledger entries and counters produced by an `apply` step.
+ * The last entry gets `entryId` when one is given. Returns that entry.
+ * Exported for transactions that move funds between two wallets.
+ */
+function writeLedgerResult(transaction, userId, userData, result, { entryId, extraUserFields } = {}) {
+  const userRef = db.collection("users").doc(userId);
+  const ledgerRef = ledgerCollection(userId);
+  const counters = readCounters(userData);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const entries = [];
+
+  // Balances from before the ledger existed become an opening entry
+  if (!userData.walletLedgerStartedAt && counters.balance > 0) {
+    entries.push({
+      ref: ledgerRef.doc("opening_balance"),
+      data: {
+        type: "opening_balance",
+        amount: counters.balance,
+        balanceDelta: counters.balance,
+        heldDelta: 0,
+        balanceAfter: counters.balance,
+        heldAfter: counters.held,
+        description: "Balance carried over from walletBalance",
+        createdAt: now
+      }
+    });
+  }
+
+  result.entries.forEach((entry, index) => {
+    const isPrimary = index === result.entries.length - 1;
+    entries.push({
+      ref: isPrimary && entryId ? ledgerRef.doc(entryId) : ledgerRef.doc(),
+      data: {
+        reference: null,
+        description: null,
+        metadata: {},
+        ...entry,
+        balanceAfter: result.balance,
+        heldAfter: result.held,
+        createdAt: now
+      }
+    });
+  });
+
+  entries.forEach(({ ref, data }) => transaction.set(ref, data));
+
+  transaction.update(userRef, {
+    ...extraUserFields,
+    walletBalance: result.balance,
+    walletHeld: result.held,
+    walletHolds: result.holds,
+    walletLedgerStartedAt: userData.walletLedgerStartedAt || now,
+    updatedAt: now
+  });
+
+  return entries[entries.length - 1].data;
+}
+
+/**
+ * Add funds to a wallet. Passing the same entryId twice credits only once.
+ */
+async function creditWallet(userId, amount, { entryId, type = "credit", description, reference, metadata } = {}) {
+  assertAmount(amount);
+
+  return runLedgerTransaction(userId, {
+    entryId,
+    apply: (counters) => ({
+      entries: [{ type, amount, balanceDelta: amount, heldDelta: 0, description, reference, metadata }],
+      balance: counters.balance + amount,
+      held: counters.held,
+      holds: counters.holds
+    })
+  });
+}
+
+/**
+ * Take funds from the spendable balance. Passing the same entryId twice debits only once.
+ */
+async function debitWallet(userId, amount, { entryId, type = "debit", description, reference, metadata } = {}) {
+  assertAmount(amount);
+
+  return runLedgerTransaction(userId, {
+    entryId,
+    apply: (counters) => {
+      if (counters.available < amount) {
+        throw new HttpError(400, "Insufficient wallet balance");
+      }
+
+      return {
+        entries: [{ type, amount, balanceDelta: -amount, heldDelta: 0, description, reference, metadata }],
+        balance: counters.balance - amount,
+        held: counters.held,
+        holds: counters.holds
+      };
+    }
+  });
+}
+
+/**
+ * Reserve funds against a reference (e.g. an order awaiting card payment).
+ * An existing hold for the same reference is released and replaced.
+ * With allowPartial, only what is spendable is held (possibly nothing)
+ * instead of failing.
+ */
+async function placeHold(userId, reference, amount, { description, metadata, allowPartial = false } = {}) {
+  assertAmount(amount);
+
+  return runLedgerTransaction(userId, {
+    apply: (counters) => {
+      const entries = [];
+      const holds = { ...counters.holds };
+      let held = counters.held;
+
+      if (holds[reference]) {
+        entries.push({
+          type: "hold_release",
+          amount: holds[reference].amount,
+          balanceDelta: 0,
+          heldDelta: -holds[reference].amount,
+          reference,
+          description: "Replaced by a new hold"
+        });
+        held -= holds[reference].amount;
+        delete holds[reference];
+      }
+
+      let holdAmount = amount;
+      if (counters.balance - held < amount) {
+        if (!allowPartial) {
+          throw new HttpError(400, "Insufficient wallet balance");
+        }
+        holdAmount = Math.max(counters.balance - held, 0);
+      }
+
+      if (holdAmount === 0) {
+        return entries.length ? { entries, balance: counters.balance, held, holds } : null;
+      }
+
+      entries.push({
+        type: "hold",
+        amount: holdAmount,
+        balanceDelta: 0,
+        heldDelta: holdAmount,
+        reference,
+        description,
+        metadata
+      });
+      holds[reference] = {
+        amount: holdAmount,
+        createdAt: new Date().toISOString()
+      };
+
+      return {
+        entries,
+        balance: counters.balance,
+        held: held + holdAmount,
+        holds
+      };
+    }
+  });
+}
+
+/**
+ * Turn an active hold into a debit. The capture entry id is derived from
+ * the reference, so a reference can only ever be captured once.
+ *
+ * options.amount captures less than the hold; the rest is released.
+ * options.debitIfNoHold debits the spendable balance when no hold exists
+ * (payments started before holds were introduced).
+ */
+async function captureHold(userId, reference, { amount, debitIfNoHold = false, description, metadata } = {}) {
+  return runLedgerTransaction(userId, {
+    entryId: `capture_${reference}`,
+    apply: (counters) => {
+      const hold = counters.holds[reference];
+
+      if (!hold) {
+        if (!debitIfNoHold || !amount) {
+          return null;
+        }
+
+        assertAmount(amount);
+        if (counters.available < amount) {
+          throw new HttpError(400, "Insufficient wallet balance");
+        }
+
+        return {
+          entries: [{
+            type: "hold_capture",
+            amount,
+            balanceDelta: -amount,
+            heldDelta: 0,
+            reference,
+            description,
+            metadata
+          }],
+          balance: counters.balance - amount,
+          held: counters.held,
+          holds: counters.holds
+        };
+      }
+
+      const captureAmount = amount == null ? hold.amount : amount;
+      if (!Number.isInteger(captureAmount) || captureAmount < 0 || captureAmount > hold.amount) {
+        throw new HttpError(400, "Capture amount exceeds hold");
+      }
+
+      const holds = { ...counters.holds };
+      delete holds[reference];
+
+      return {
+        entries: [{
+          type: "hold_capture",
+          amount: captureAmount,
+          releasedAmount: hold.amount - captureAmount,
+          balanceDelta: -captureAmount,
+          heldDelta: -hold.amount,
+          reference,
+          description,
+          metadata
+        }],
+        balance: counters.balance - captureAmount,
+        held: counters.held - hold.amount,
+        holds
+      };
+    }
+  });
+}
+
+/**
+ * Give an active hold back to the spendable balance
+ */
+async function releaseHold(userId, reference, { description, metadata } = {}) {
+  return runLedgerTransaction(userId, {
+    apply: (counters) => {
+      const hold = counters.holds[reference];
+      if (!hold) {
+        return null;
+      }
+
+      const holds = { ...counters.holds };
+      delete holds[reference];
+
+      return {
+        entries: [{
+          type: "hold_release",
+          amount: hold.amount,
+          balanceDelta: 0,
+          heldDelta: -hold.amount,
+          reference,
+          description,
+          metadata
+        }],
+        balance: counters.balance,
+        held: counters.held - hold.amount,
+        holds
+      };
+    }
+  });
+}
+
+/**
+ * Current wallet counters from the user document
+ */
+async function getWalletSummary(userId) {
+  const userDoc = await db.collection("users").doc(userId).get();
+
+  if (!userDoc.exists) {
+    throw new HttpError(404, "User not found");
+  }
+
+  return readCounters(userDoc.data());
+}
+
+/**
+ * Recompute the balance from the ledger itself.
+ * Used to audit the cached counters on the user document.
+ */
+async function deriveWalletBalance(userId) {
+  const snapshot = await ledgerCollection(userId).get();
+  let balance = 0;
+  let held = 0;
+
+  snapshot.forEach((doc) => {
+    const entry = doc.data();
+    balance += entry.balanceDelta || 0;
+    held += entry.heldDelta || 0;
+  });
+
+  return { balance, held, available: balance - held };
+}
+
+/**
+ * Most recent ledger entries, newest first
+ */
+async function listLedgerEntries(userId, { limit = 50 } = {}) {
+  const snapshot = await ledgerCollection(userId)
+    .orderBy("createdAt", "desc")
+    .limit(limit)
+    .get();
+
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+module.exports = {
+  orderHoldReference,
+  runLedgerTransaction,
+  writeLedgerResult,
+  readCounters,
+  creditWallet,
+  debitWallet,
+  placeHold,
+  captureHold,
+  releaseHold,
+  getWalletSummary,
+  deriveWalletBalance,
+  listLedgerEntries
+};
@@ -0,0 +1,172 @@
+const { db, admin } = require("../config/firebase");
+const { HttpError } = require("../utils/httpError");
+const { toUkTime } = require("../utils/ukTime");
+const { readCounters, writeLedgerResult } = require("./wallet");
+
+// Used when settings/wallet has not been created yet (amounts in pence)
+const DEFAULT_TRANSFER_SETTINGS = {
+  minTransferAmount: 100,
+  maxTransferAmount: 10000,
+  dailyTransferLimit: 20000
+};
+
+async function getTransferSettings() {
+  const settingsDoc = await db.collection("settings").doc("wallet").get();
+
+  return {
+    ...DEFAULT_TRANSFER_SETTINGS,
+    ...(settingsDoc.exists ? settingsDoc.data() : {})
+  };
+}
+
+/**
+ * Find the user a transfer is addressed to
+ */
+async function findRecipientByEmail(email) {
+  try {
+    const userRecord = await admin.auth().getUserByEmail(String(email || "").trim());
+    return userRecord.uid;
+  } catch (error) {
+    if (error.code === "auth/user-not-found" || error.code === "auth/invalid-email") {
+      throw new HttpError(404, "No user with that email address");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Send wallet balance to another user.
+ *
+ * Both ledger entries, both balances and the walletTransfers audit record
+ * are written in one transaction. A retried request with the same
+ * requestId returns the original transfer.
+ */
+async function transferWalletFunds(senderId, { recipientEmail, amount, note = null, requestId = null }) {
+  const settings = await getTransferSettings();
+
+  if (!Number.isInteger(amount) || amount < settings.minTransferAmount || amount > settings.maxTransferAmount) {
+    throw new HttpError(
+      400,
+      `Transfers must be between £${(settings.minTransferAmount / 100).toFixed(2)} and £${(settings.maxTransferAmount / 100).toFixed(2)}`
+    );
+  }
+
+  const recipientId = await findRecipientByEmail(recipientEmail);
+
+  if (recipientId === senderId) {
+    throw new HttpError(400, "You cannot send money to yourself");
+  }
+
+  const transferRef = requestId
+    ? db.collection("walletTransfers").doc(`${senderId}_${requestId}`)
+    : db.collection("walletTransfers").doc();
+  const senderRef = db.collection("users").doc(senderId);
+  const recipientRef = db.collection("users").doc(recipientId);
+  const today = toUkTime(new Date()).date;
+
+  return db.runTransaction(async (transaction) => {
+    const [transferSnap, senderSnap, recipientSnap] = await Promise.all([
+      transaction.get(transferRef),
+      transaction.get(senderRef),
+      transaction.get(recipientRef)
+    ]);
+
+    if (transferSnap.exists) {
+      return { id: transferRef.id, ...transferSnap.data(), duplicate: true };
+    }
+
+    if (!senderSnap.exists) {
+      throw new HttpError(404, "User not found");
+    }
+
+    if (!recipientSnap.exists) {
+      throw new HttpError(404, "No user with that email address");
+    }
+
+    const sender = senderSnap.data();
+    const recipient = recipientSnap.data();
+    const senderCounters = readCounters(sender);
+    const recipientCounters = readCounters(recipient);
+
+    if (senderCounters.available < amount) {
+      throw new HttpError(400, "Insufficient wallet balance");
+    }
+
+    const sentToday = sender.walletTransfersToday?.date === today
+      ? sender.walletTransfersToday.amount
+      : 0;
+
+    if (sentToday + amount > settings.dailyTransferLimit) {
+      throw new HttpError(
+        400,
+        `Daily transfer limit of £${(settings.dailyTransferLimit / 100).toFixed(2)} reached`
+      );
+    }
+
+    const metadata = { transferId: transferRef.id, note };
+
+    writeLedgerResult(transaction, senderId, sender, {
+      entries: [{
+        type: "transfer_out",
+        amount,
+        balanceDelta: -amount,
+        heldDelta: 0,
+        reference: transferRef.id,
+        description: `Sent to ${recipient.email || recipientEmail}`,
+        metadata: { ...metadata, counterpartyId: recipientId }
+      }],
+      balance: senderCounters.balance - amount,
+      held: senderCounters.held,
+      holds: senderCounters.holds
+    }, {
+      entryId: `transfer_${transferRef.id}`,
+      extraUserFields: {
+        walletTransfersToday: { date: today, amount: sentToday + amount }
+      }
+    });
+
+    writeLedgerResult(transaction, recipientId, recipient, {
+      entries: [{
+        type: "transfer_in",
+        amount,
+        balanceDelta: amount,
+        heldDelta: 0,
+        reference: transferRef.id,
+        description: `Received from ${sender.email || "another user"}`,
+        metadata: { ...metadata, counterpartyId: senderId }
+      }],
+      balance: recipientCounters.balance + amount,
+      held: recipientCounters.held,
+      holds: recipientCounters.holds
+    }, {
+      entryId: `transfer_${transferRef.id}`
+    });
+
+    const transfer = {
+      senderId,
+      recipientId,
+      recipientEmail,
+      amount,
+      note,
+      status: "completed",
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    transaction.set(transferRef, transfer);
+
+    return {
+      id: transferRef.id,
+      senderId,
+      recipientId,
+      recipientEmail,
+      amount,
+      note,
+      status: "completed",
+      walletBalance: senderCounters.balance - amount,
+      duplicate: false
+    };
+  });
+}
+
+module.exports = {
+  transferWalletFunds
+};
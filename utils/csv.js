@@ -0,0 +1,29 @@
+/**
+ * Quote a value for CSV when it contains a comma, quote or newline.
+ * Text starting with =, +, - or @ (other than a number) is prefixed with '
+ * so spreadsheets don't run it as a formula.
+ */
+function csvValue(value) {
+  if (value == null) return "";
+
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * CSV text from rows of objects; columns are [{ key, label }]
+ */
+function toCsv(columns, rows) {
+  const lines = [
+    columns.map(column => csvValue(column.label)).join(","),
+    ...rows.map(row => columns.map(column => csvValue(row[column.key])).join(","))
+  ];
+
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,14 @@
+/**
+ * Error carrying an HTTP status code.
+ * Route handlers respond with err.status when it is set,
+ * the same way the global error handler in server.js does.
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+  }
+}
+
+module.exports = { HttpError };
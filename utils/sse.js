@@ -0,0 +1,59 @@
+// Comment line sent to keep proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+// Serverless functions have a maximum duration, so streams are closed
+// before it and EventSource reconnects on its own
+const MAX_STREAM_MS = Number(process.env.SSE_MAX_STREAM_MS) || 4 * 60 * 1000;
+// How long the browser waits before reconnecting
+const RETRY_MS = 3000;
+
+/**
+ * Turn a response into a Server-Sent Events stream.
+ * Returns { send(event, data), close(), onClose(fn) }.
+ * Functions registered with onClose run once, however the stream ends.
+ */
+function openEventStream(req, res) {
+  const cleanups = [];
+  let closed = false;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    // Stop nginx-style proxies from buffering events
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  const expiry = setTimeout(() => close(), MAX_STREAM_MS);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    cleanups.forEach(cleanup => cleanup());
+    res.end();
+  }
+
+  req.on("close", close);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close,
+    onClose(cleanup) {
+      if (closed) {
+        cleanup();
+      } else {
+        cleanups.push(cleanup);
+      }
+    }
+  };
+}
+
+module.exports = { openEventStream };
@@ -0,0 +1,43 @@
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Day name, date (YYYY-MM-DD) and HH:MM for a moment in UK time
+ */
+function toUkTime(date) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: "Europe/London",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: false
+  }).formatToParts(date);
+
+  const get = type => parts.find(part => part.type === type).value;
+  return {
+    day: get("weekday"),
+    date: `${get("year")}-${get("month")}-${get("day")}`,
+    time: `${get("hour")}:${get("minute")}`
+  };
+}
+
+/**
+ * The moment a UK wall-clock date (YYYY-MM-DD) and time (HH:MM) refer to
+ */
+function fromUkTime(date, time) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const wanted = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Read the guess back in UK time and correct by the difference (the BST offset)
+  const uk = toUkTime(new Date(wanted));
+  const [ukYear, ukMonth, ukDay] = uk.date.split("-").map(Number);
+  const [ukHour, ukMinute] = uk.time.split(":").map(Number);
+  const offset = Date.UTC(ukYear, ukMonth - 1, ukDay, ukHour, ukMinute) - wanted;
+
+  return new Date(wanted - offset);
+}
+
+module.exports = { DAY_NAMES, toUkTime, fromUkTime };